@@ -1,37 +1,42 @@
 import { ethers } from "ethers";
 import axios from "axios";
 import { CONFIG } from "../config.js";
-import { PAIR_ABI } from "./pairAbi.js";
-import { queueAlert } from "../utils/alertQueue.js";
+import { SWAP_TOPICS, getPoolKind, getPoolInfo, decodeSwapLog } from "./swapDecoder.js";
+import { registerCollection, markDirty } from "../services/store.js";
+import { emitAlert } from "../utils/alertEvent.js";
+import { scoreToken, shouldAlert } from "../utils/alphaScorer.js";
+import { isMuted, isPaused } from "../utils/engineControl.js";
+import { verifyBaseLPLock } from "../utils/baseLPLockVerifier.js";
+import { analyzeBaseHolders } from "../utils/baseHolderAnalyzer.js";
+import { getBaseWssUrl, rotateBaseWss } from "../utils/rpcManager.js";
+import { resolveTrader, getResolverStats } from "./buyerResolver.js";
+import { getLaunch, getLaunchAgeHours } from "./launchRegistry.js";
+import { getSniperCount, getLaunchSnipers } from "./sniperTracker.js";
+import { recordTrade, isTracked, getFlow, markAlerted, checkWhaleExit } from "../utils/flowTracker.js";
 
 
 let provider = createProvider();
 
-function createProvider() {
-    const p = new ethers.WebSocketProvider(CONFIG.BASE_WSS);
+function createProvider(url = getBaseWssUrl()) {
+    const p = new ethers.WebSocketProvider(url);
     p.on("error", (err) => {
         console.error("❌ WSS Error:", err.message);
-        reconnect();
+        reconnect(err.message);
     });
     return p;
 }
 
-function reconnect() {
+function reconnect(reason) {
+    // Next endpoint in BASE_WSS (same one when only one is configured)
+    const url = rotateBaseWss(reason);
     console.log("🔄 Reconnecting WSS...");
     setTimeout(() => {
-        provider = createProvider();
+        provider = createProvider(url);
         startListening();
     }, 3000);
 }
 
-const SWAP_TOPIC = "0xd78ad95fa46c994b6551d0da85fc275fe613ce37657fb8d5e3d130840159d822";
-
-const MIN_BUY_USD = 300;
-const MIN_LIQ = 5000;
-const MAX_LIQ = 500000;
-const MIN_MCAP = 10000;
-const MAX_MCAP = 5000000;
-const MAX_TOKEN_AGE_HOURS = 48;
+// Thresholds live in CONFIG.base (read per swap so reloads apply)
 
 // WETH and stables — these are the INPUT tokens (what people spend)
 const WETH = "0x4200000000000000000000000000000000000006";
@@ -61,13 +66,32 @@ async function getEthPrice() {
     return ethPrice;
 }
 
-const pairCache = new Map(); // pairAddr -> { token0, token1 }
+const pairCache = new Map(); // pairAddr -> { token0, token1, kind, stable }
 const alerted = new Set();
+const evaluating = new Set(); // tokens with a candidate check in flight
 const whaleBuyers = new Map();
-const WINDOW = 5 * 60 * 1000;
 
 let totalSwapsDetected = 0;
+const swapsByKind = { v2: 0, cl: 0, aerodrome: 0 };
 let totalAlertsTriggered = 0;
+let totalExitAlerts = 0;
+
+// Persist alert + whale state across restarts
+registerCollection("baseWatcher", {
+    dump: () => ({
+        alerted: [...alerted],
+        whaleBuyers: [...whaleBuyers.entries()].map(([token, data]) => [
+            token,
+            { ...data, buyers: [...data.buyers.entries()] },
+        ]),
+    }),
+    restore: (data) => {
+        for (const token of data.alerted || []) alerted.add(token);
+        for (const [token, entry] of data.whaleBuyers || []) {
+            whaleBuyers.set(token, { ...entry, buyers: new Map(entry.buyers) });
+        }
+    },
+});
 
 // ========================================
 // 📊 TOKEN STATS
@@ -88,16 +112,18 @@ async function getTokenStats(token) {
 
         if (!basePair) return null;
 
+        // Pool creation seen by the factory watcher beats DexScreener's pairCreatedAt
         const createdAt = basePair.pairCreatedAt;
-        const ageHours = createdAt
+        const ageHours = getLaunchAgeHours(token) ?? (createdAt
             ? (Date.now() - createdAt) / (1000 * 60 * 60)
-            : null;
+            : null);
 
         return {
             liquidity: basePair.liquidity?.usd || 0,
             marketCap: basePair.fdv || 0,
             priceUsd: basePair.priceUsd || 0,
             pairAddress: basePair.pairAddress,
+            dexId: basePair.dexId,
             ageHours,
             priceChange5m: basePair.priceChange?.m5 || 0,
             priceChange1h: basePair.priceChange?.h1 || 0,
@@ -131,8 +157,12 @@ async function quickHoneypotCheck(tokenAddress) {
 
 
 async function processWhaleBuy(tokenAddress, buyerAddress, buyUsd, stats) {
+    let reserved = false;
     try {
+        recordTrade("base", tokenAddress, buyerAddress, "buy", buyUsd);
+
         if (alerted.has(tokenAddress)) return;
+        if (isMuted(tokenAddress)) return;
 
         if (!whaleBuyers.has(tokenAddress)) {
             whaleBuyers.set(tokenAddress, {
@@ -144,7 +174,7 @@ async function processWhaleBuy(tokenAddress, buyerAddress, buyUsd, stats) {
 
         const data = whaleBuyers.get(tokenAddress);
 
-        if (Date.now() - data.firstSeen > WINDOW) {
+        if (Date.now() - data.firstSeen > CONFIG.base.windowMs) {
             data.buyers.clear();
             data.firstSeen = Date.now();
             data.totalVolume = 0;
@@ -152,6 +182,7 @@ async function processWhaleBuy(tokenAddress, buyerAddress, buyUsd, stats) {
 
         data.buyers.set(buyerAddress, (data.buyers.get(buyerAddress) || 0) + buyUsd);
         data.totalVolume += buyUsd;
+        markDirty("baseWatcher");
 
         const whaleCount = data.buyers.size;
         const totalVolume = data.totalVolume;
@@ -160,11 +191,23 @@ async function processWhaleBuy(tokenAddress, buyerAddress, buyUsd, stats) {
             `🐋 ${stats.symbol} | Buy: $${buyUsd.toFixed(0)} | Whales: ${whaleCount} | Vol: $${totalVolume.toFixed(0)} | MCap: $${stats.marketCap.toFixed(0)}`
         );
 
-        const isBigSingleBuy = buyUsd >= 2000 && whaleCount === 1;
-        const isMultiWhale = whaleCount >= 2;
+        const isBigSingleBuy = buyUsd >= CONFIG.base.bigSingleBuyUsd && whaleCount === 1;
+        const isMultiWhale = whaleCount >= CONFIG.base.minWhales;
 
         if (!isBigSingleBuy && !isMultiWhale) return;
 
+        // One candidate check per token at a time — buys landing while
+        // the analyzers run would each alert otherwise
+        if (evaluating.has(tokenAddress)) return;
+        evaluating.add(tokenAddress);
+        reserved = true;
+
+        const flow = getFlow("base", tokenAddress);
+        if (flow.netFlowUsd < CONFIG.flow.minNetFlowUsd) {
+            console.log(`❌ ${stats.symbol} net flow $${flow.netFlowUsd.toFixed(0)} (${flow.sells} whale sells)`);
+            return;
+        }
+
         const honeypot = await quickHoneypotCheck(tokenAddress);
 
         if (honeypot.isHoneypot) {
@@ -177,125 +220,188 @@ async function processWhaleBuy(tokenAddress, buyerAddress, buyUsd, stats) {
             return;
         }
 
+        const [lpLock, holders] = await Promise.all([
+            verifyBaseLPLock(tokenAddress, stats.pairAddress),
+            analyzeBaseHolders(tokenAddress),
+        ]);
+
+        const score = scoreToken({
+            whaleCount,
+            liquidity: stats.liquidity,
+            marketCap: stats.marketCap,
+            sniperCount: getSniperCount(tokenAddress),
+            honeypot,
+            holders,
+            lpLock,
+        });
+
+        if (!shouldAlert(score, CONFIG.base.minScore)) {
+            console.log(`❌ ${stats.symbol} score ${score} < ${CONFIG.base.minScore}`);
+            return;
+        }
+
         alerted.add(tokenAddress);
+        markAlerted("base", tokenAddress);
+        markDirty("baseWatcher");
         totalAlertsTriggered++;
 
-        const triggerReason = isBigSingleBuy
-            ? `🐳 BIG SINGLE BUY ($${buyUsd.toFixed(0)})`
-            : `🐋 ${whaleCount} WHALES IN 5 MIN`;
-
-        const taxLine = honeypot.buyTax !== null
-            ? `💸 Tax: Buy ${honeypot.buyTax}% / Sell ${honeypot.sellTax}%`
-            : `💸 Tax: Unverified`;
-
-        const ageLine = stats.ageHours !== null
-            ? `⏱️ Age: ${stats.ageHours < 1 ? `${Math.round(stats.ageHours * 60)}m` : `${stats.ageHours.toFixed(1)}h`}`
-            : `⏱️ Age: Unknown`;
-
-        const momentumLine = stats.priceChange5m >= 0
-            ? `📈 +${stats.priceChange5m}% (5m) | +${stats.priceChange1h}% (1h)`
-            : `📉 ${stats.priceChange5m}% (5m) | ${stats.priceChange1h}% (1h)`;
-
-        const buyPressure = stats.buys5m + stats.sells5m > 0
-            ? `🟢 ${stats.buys5m}B / 🔴 ${stats.sells5m}S (5m)\n`
-            : "";
-
-        const alert =
-            `🚨 BASE MEME ALERT 🚨\n\n` +
-            `🐸 ${stats.name} ($${stats.symbol})\n` +
-            `📍 ${tokenAddress}\n\n` +
-            `${triggerReason}\n` +
-            `💰 Latest Buy: $${buyUsd.toFixed(0)}\n` +
-            `💼 Window Volume: $${totalVolume.toFixed(0)}\n\n` +
-            `💧 Liquidity: $${stats.liquidity.toLocaleString()}\n` +
-            `📊 Market Cap: $${stats.marketCap.toLocaleString()}\n` +
-            `${ageLine}\n` +
-            `${momentumLine}\n` +
-            `${buyPressure}` +
-            `${taxLine}\n\n` +
-            `🔗 Dex: https://dexscreener.com/base/${tokenAddress}\n` +
-            `📊 Chart: https://www.dextools.io/app/base/pair-explorer/${stats.pairAddress}\n` +
-            `🦎 BaseScan: https://basescan.org/token/${tokenAddress}`;
-
-        queueAlert(alert);
-        console.log(`✅ BASE ALERT #${totalAlertsTriggered}: ${stats.symbol} | MCap: $${stats.marketCap.toLocaleString()}`);
+        emitAlert({
+            chain: "base",
+            token: { address: tokenAddress, name: stats.name, symbol: stats.symbol },
+            pair: { address: stats.pairAddress, dex: stats.dexId },
+            trigger: isBigSingleBuy
+                ? { kind: "big_single_buy", description: `BIG SINGLE BUY ($${buyUsd.toFixed(0)})` }
+                : { kind: "multi_whale", description: `${whaleCount} WHALES IN ${+(CONFIG.base.windowMs / 60000).toFixed(1)} MIN` },
+            buyers: {
+                count: whaleCount,
+                latestBuyUsd: buyUsd,
+                windowVolumeUsd: totalVolume,
+                wallets: [...data.buyers].map(([address, usd]) => ({ address, usd })),
+            },
+            market: stats,
+            risk: { honeypot, lpLock, holders },
+            flow,
+            score,
+            links: [
+                { label: "Dex", url: `https://dexscreener.com/base/${tokenAddress}` },
+                { label: "Chart", url: `https://www.dextools.io/app/base/pair-explorer/${stats.pairAddress}` },
+                { label: "BaseScan", url: `https://basescan.org/token/${tokenAddress}` },
+            ],
+        });
+        console.log(`✅ BASE ALERT #${totalAlertsTriggered}: ${stats.symbol} | MCap: $${stats.marketCap.toLocaleString()} | Score: ${score}`);
 
     } catch (err) {
         console.log(`⚠️ processWhaleBuy error:`, err.message);
+    } finally {
+        if (reserved) evaluating.delete(tokenAddress);
     }
 }
 
 
+/**
+ * Whale sells feed net flow; large sells by early buyers of an
+ * alerted token raise a whale exit
+ */
+async function processWhaleSell(tokenAddress, log, sellUsd) {
+    try {
+        if (!isTracked("base", tokenAddress)) return; // no whale interest yet
+
+        // Sells usually pay out to the router, so resolve the wallet behind the tx
+        const trader = await resolveTrader(log, provider);
+        if (!trader) return;
+        const seller = trader.wallet;
+
+        const flow = recordTrade("base", tokenAddress, seller, "sell", sellUsd);
+
+        const exit = checkWhaleExit("base", tokenAddress, seller, sellUsd);
+        if (!exit || isMuted(tokenAddress)) return;
+
+        const stats = await getTokenStats(tokenAddress);
+        if (!stats) return;
+
+        totalExitAlerts++;
+
+        emitAlert({
+            type: "whale_exit",
+            chain: "base",
+            token: { address: tokenAddress, name: stats.name, symbol: stats.symbol },
+            pair: { address: stats.pairAddress, dex: stats.dexId },
+            trigger: { kind: "whale_exit", description: `EARLY WHALE SOLD ($${sellUsd.toFixed(0)})` },
+            market: stats,
+            flow,
+            exit,
+            links: [
+                { label: "Dex", url: `https://dexscreener.com/base/${tokenAddress}` },
+                { label: "Chart", url: `https://www.dextools.io/app/base/pair-explorer/${stats.pairAddress}` },
+                { label: "BaseScan", url: `https://basescan.org/token/${tokenAddress}` },
+            ],
+        });
+        console.log(`🚪 BASE WHALE EXIT: ${stats.symbol} | ${seller.slice(0, 10)}... sold $${sellUsd.toFixed(0)}`);
+    } catch (err) {
+        console.log(`⚠️ processWhaleSell error:`, err.message);
+    }
+}
+
+
+/**
+ * USD value of a WETH / stable amount
+ */
+function toUsd(baseToken, amount, eth) {
+    if (baseToken === WETH) return Number(ethers.formatEther(amount)) * eth;
+    return Number(ethers.formatUnits(amount, baseToken === DAI ? 18 : 6));
+}
+
+
 function startListening() {
     console.log("🐸 Listening for Base meme swaps...");
 
-    provider.on({ topics: [SWAP_TOPIC] }, async (log) => {
+    // V2, V3/Slipstream and Aerodrome pools emit different Swap events
+    provider.on({ topics: [Object.values(SWAP_TOPICS)] }, async (log) => {
         try {
+            if (isPaused("base")) return;
+
             totalSwapsDetected++;
             if (totalSwapsDetected % 500 === 0) {
                 console.log(`📡 ${totalSwapsDetected} swaps | ${totalAlertsTriggered} alerts`);
             }
 
             const pairAddr = log.address.toLowerCase();
-            let token0, token1;
-
-            if (pairCache.has(pairAddr)) {
-                ({ token0, token1 } = pairCache.get(pairAddr));
-            } else {
-                const pair = new ethers.Contract(pairAddr, PAIR_ABI, provider);
-                try {
-                    [token0, token1] = await Promise.all([pair.token0(), pair.token1()]);
-                    token0 = token0.toLowerCase();
-                    token1 = token1.toLowerCase();
-                } catch {
-                    return;
-                }
-                pairCache.set(pairAddr, { token0, token1 });
+            const kind = getPoolKind(log.topics[0]);
+            if (!kind) return;
+            swapsByKind[kind]++;
+
+            if (!pairCache.has(pairAddr)) {
+                const pool = await getPoolInfo(pairAddr, kind, provider);
+                if (!pool) return;
+                pairCache.set(pairAddr, pool);
             }
+            const { token0, token1 } = pairCache.get(pairAddr);
 
-            const iface = new ethers.Interface(PAIR_ABI);
-            const decoded = iface.parseLog(log);
-            const { amount0In, amount1In, amount0Out, amount1Out, to } = decoded.args;
-
-
-            let boughtToken = null;
-            let buyUsd = 0;
+            const { amount0In, amount1In, amount0Out, amount1Out } = decodeSwapLog(log, kind);
 
             const eth = await getEthPrice();
 
-            if (BASE_TOKENS.has(token0) && amount1Out > 0n) {
-                // Buyer spent token0 (WETH/stable), received token1 (meme)
-                boughtToken = token1;
-                if (token0 === WETH) {
-                    buyUsd = Number(ethers.formatEther(amount0In)) * eth;
-                } else {
-                    // USDC/DAI are 6 decimals
-                    buyUsd = Number(ethers.formatUnits(amount0In, 6));
-                }
-            } else if (BASE_TOKENS.has(token1) && amount0Out > 0n) {
-                // Buyer spent token1 (WETH/stable), received token0 (meme)
-                boughtToken = token0;
-                if (token1 === WETH) {
-                    buyUsd = Number(ethers.formatEther(amount1In)) * eth;
-                } else {
-                    buyUsd = Number(ethers.formatUnits(amount1In, 6));
-                }
+            // The WETH/stable side decides direction: paid in = buy, paid out = sell
+            let memeToken, side, tradeUsd;
+
+            if (BASE_TOKENS.has(token0) && !BASE_TOKENS.has(token1)) {
+                memeToken = token1;
+                side = amount1Out > 0n ? "buy" : "sell";
+                tradeUsd = toUsd(token0, side === "buy" ? amount0In : amount0Out, eth);
+            } else if (BASE_TOKENS.has(token1) && !BASE_TOKENS.has(token0)) {
+                memeToken = token0;
+                side = amount0Out > 0n ? "buy" : "sell";
+                tradeUsd = toUsd(token1, side === "buy" ? amount1In : amount1Out, eth);
             } else {
-                return; // Token-to-token swap, not a meme buy
+                return; // Token-to-token or WETH/stable swap, not a meme trade
+            }
+
+            const limits = CONFIG.base;
+            if (tradeUsd < limits.minBuyUsd) return;
+
+            if (side === "sell") {
+                await processWhaleSell(memeToken, log, tradeUsd);
+                return;
             }
 
-            if (!boughtToken || buyUsd < MIN_BUY_USD) return;
-            if (alerted.has(boughtToken)) return;
+            // Swap `to` is often a router or the next hop — key whales on the real wallet
+            const trader = await resolveTrader(log, provider);
+            if (!trader) return;
+            const buyer = trader.wallet;
+            if (alerted.has(memeToken)) {
+                recordTrade("base", memeToken, buyer, "buy", tradeUsd);
+                return;
+            }
 
             // Fetch stats and apply meme filters
-            const stats = await getTokenStats(boughtToken);
+            const stats = await getTokenStats(memeToken);
             if (!stats) return;
 
-            if (stats.liquidity < MIN_LIQ || stats.liquidity > MAX_LIQ) return;
-            if (stats.marketCap < MIN_MCAP || stats.marketCap > MAX_MCAP) return;
-            if (stats.ageHours !== null && stats.ageHours > MAX_TOKEN_AGE_HOURS) return;
+            if (stats.liquidity < limits.minLiquidity || stats.liquidity > limits.maxLiquidity) return;
+            if (stats.marketCap < limits.minMarketCap || stats.marketCap > limits.maxMarketCap) return;
+            if (stats.ageHours !== null && stats.ageHours > limits.maxTokenAgeHours) return;
 
-            await processWhaleBuy(boughtToken, to.toLowerCase(), buyUsd, stats);
+            await processWhaleBuy(memeToken, buyer, tradeUsd, stats);
 
         } catch {
             // Silent — high volume
@@ -304,9 +410,58 @@ function startListening() {
 }
 
 
+/**
+ * Detector counters (API / status output)
+ */
+export function getBaseStatus() {
+    return {
+        swapsDetected: totalSwapsDetected,
+        swapsByKind: { ...swapsByKind },
+        alertsTriggered: totalAlertsTriggered,
+        exitAlerts: totalExitAlerts,
+        trackedTokens: whaleBuyers.size,
+        alertedTokens: alerted.size,
+        cachedPairs: pairCache.size,
+        buyerResolver: getResolverStats(),
+        ethPrice,
+    };
+}
+
+/**
+ * Active alert thresholds
+ */
+export function getBaseThresholds() {
+    return { ...CONFIG.base };
+}
+
+/**
+ * Live tracking state for one token
+ */
+export function getBaseTokenState(tokenAddress) {
+    const token = tokenAddress.toLowerCase();
+    const data = whaleBuyers.get(token);
+
+    return {
+        alerted: alerted.has(token),
+        launch: getLaunch(token),
+        snipers: getLaunchSnipers(token),
+        flow: isTracked("base", token) ? getFlow("base", token) : null,
+        tracking: data
+            ? {
+                whaleCount: data.buyers.size,
+                totalVolume: data.totalVolume,
+                firstSeen: data.firstSeen,
+                buyers: Object.fromEntries(data.buyers),
+            }
+            : null,
+    };
+}
+
+
 export function watchBase() {
     console.log("🟦 Base Meme Detector LIVE (Fixed)");
-    console.log(`💰 Min Buy: $${MIN_BUY_USD} | Liq: $${MIN_LIQ}-$${MAX_LIQ} | MCap: $${MIN_MCAP}-$${MAX_MCAP}`);
+    const limits = CONFIG.base;
+    console.log(`💰 Min Buy: $${limits.minBuyUsd} | Liq: $${limits.minLiquidity}-$${limits.maxLiquidity} | MCap: $${limits.minMarketCap}-$${limits.maxMarketCap}`);
     console.log("🔧 Fix: buyUsd now reads ETH/USDC input side of swap");
 
     getEthPrice();
@@ -315,9 +470,10 @@ export function watchBase() {
     setInterval(() => {
         const now = Date.now();
         for (const [token, data] of whaleBuyers.entries()) {
-            if (now - data.firstSeen > WINDOW * 3) whaleBuyers.delete(token);
+            if (now - data.firstSeen > CONFIG.base.windowMs * 3) whaleBuyers.delete(token);
         }
         if (alerted.size > 1000) { alerted.clear(); console.log("🧹 Cleared alert cache"); }
+        markDirty("baseWatcher");
         if (pairCache.size > 5000) pairCache.clear();
         console.log(`📊 Status: ${whaleBuyers.size} tracked | ${alerted.size} alerted | ${totalSwapsDetected} swaps`);
     }, 60000);
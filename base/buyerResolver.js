@@ -0,0 +1,101 @@
+import { ethers } from "ethers";
+
+/**
+ * ========================================
+ * 🧭 BASE BUYER RESOLVER
+ * ========================================
+ * The Swap event `to` is often a router, aggregator or the next
+ * pool of a multi-hop route. Resolves the wallet behind a trade
+ * from the transaction instead: the sender EOA, or the smart
+ * wallet for ERC-4337 user operations.
+ */
+
+// ERC-4337 EntryPoints (v0.6, v0.7) — tx.from is only the bundler
+const ENTRY_POINTS = new Set([
+    "0x5ff137d4b0fdcd49dca30c7cf57e578a026d2789",
+    "0x0000000071727de22e5e9d8baf0edac6f37da032",
+]);
+
+const USER_OPERATION_EVENT = ethers.id(
+    "UserOperationEvent(bytes32,address,address,uint256,bool,uint256,uint256)"
+);
+
+const txCache = new Map(); // txHash -> { from, to }
+const userOpCache = new Map(); // txHash -> [{ index, sender }] in log order
+const CACHE_MAX = 2000;
+
+const stats = {
+    resolved: 0,
+    userOps: 0,
+    failed: 0,
+};
+
+function remember(cache, hash, entry) {
+    if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+    cache.set(hash, entry);
+}
+
+/**
+ * Sender + target of a transaction (shared by every swap log in it)
+ */
+async function getTxSummary(hash, provider) {
+    if (txCache.has(hash)) return txCache.get(hash);
+
+    const tx = await provider.getTransaction(hash);
+    if (!tx) return null;
+
+    const summary = { from: tx.from.toLowerCase(), to: (tx.to || "").toLowerCase() };
+    remember(txCache, hash, summary);
+    return summary;
+}
+
+/**
+ * Every user operation in a bundle transaction: the smart wallet and
+ * the index of its UserOperationEvent
+ */
+async function getUserOps(hash, provider) {
+    if (userOpCache.has(hash)) return userOpCache.get(hash);
+
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (!receipt) return null;
+
+    const ops = receipt.logs
+        .filter((l) => ENTRY_POINTS.has(l.address.toLowerCase()) && l.topics[0] === USER_OPERATION_EVENT)
+        .map((l) => ({ index: l.index, sender: ethers.getAddress(ethers.dataSlice(l.topics[2], 12)).toLowerCase() }));
+
+    remember(userOpCache, hash, ops);
+    return ops;
+}
+
+/**
+ * Wallet behind the trade in a Swap log. Routers and aggregators
+ * resolve to the tx sender; ERC-4337 bundles to the smart wallet
+ * whose UserOperationEvent follows the log.
+ * @returns {Promise<{ wallet: string, source: "eoa"|"4337" }|null>}
+ */
+export async function resolveTrader(log, provider) {
+    try {
+        const tx = await getTxSummary(log.transactionHash, provider);
+        if (!tx) return null;
+
+        stats.resolved++;
+        if (!ENTRY_POINTS.has(tx.to)) return { wallet: tx.from, source: "eoa" };
+
+        const op = (await getUserOps(log.transactionHash, provider))?.find((o) => o.index > log.index);
+        if (!op) return { wallet: tx.from, source: "eoa" };
+
+        stats.userOps++;
+        return { wallet: op.sender, source: "4337" };
+    } catch (err) {
+        stats.failed++;
+        console.log("⚠️ Buyer resolve failed:", err.message);
+        return null;
+    }
+}
+
+/**
+ * Resolver counters (status output)
+ */
+export function getResolverStats() {
+    return { ...stats, cachedTxs: txCache.size, cachedUserOps: userOpCache.size };
+}
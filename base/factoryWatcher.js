@@ -1,108 +1,203 @@
 import { ethers } from "ethers";
 import { CONFIG } from "../config.js";
-import { sendAlert } from "../services/telegram.js";
+import { getBaseProvider } from "../utils/rpcManager.js";
+import { runRpc } from "../utils/rpcPool.js";
+import { emitAlert } from "../utils/alertEvent.js";
+import { isMuted, isPaused } from "../utils/engineControl.js";
 import { getTokenMeta } from "./tokenCache.js";
+import { recordLaunch, getLaunchStats } from "./launchRegistry.js";
+import { watchLaunchSnipers } from "./sniperTracker.js";
 
-const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+/**
+ * ========================================
+ * 🧪 BASE FACTORY WATCHER
+ * ========================================
+ * New pools from the main Base DEX factories. Meme launches are
+ * recorded in the launch registry, scanned for snipers and
+ * (optionally) alerted.
+ */
+
+const provider = getBaseProvider();
 
 /**
- * Aerodrome Factory (Base)
+ * Pool creation events — `kind` matches the swap decoder's pool kinds
  */
-const FACTORIES = [
-    {
-        name: "Aerodrome",
-        address: "0x420DD381b31aEf6683db6B902084cB0FFECe40Da",
+const EVENTS = {
+    v2: {
+        kind: "v2",
+        abi: "event PairCreated(address indexed token0,address indexed token1,address pair,uint)",
+        pool: (args) => args.pair,
     },
-];
+    v3: {
+        kind: "cl",
+        abi: "event PoolCreated(address indexed token0,address indexed token1,uint24 indexed fee,int24 tickSpacing,address pool)",
+        pool: (args) => args.pool,
+    },
+    aerodrome: {
+        kind: "aerodrome",
+        abi: "event PoolCreated(address indexed token0,address indexed token1,bool indexed stable,address pool,uint256)",
+        pool: (args) => args.pool,
+    },
+    slipstream: {
+        kind: "cl",
+        abi: "event PoolCreated(address indexed token0,address indexed token1,int24 indexed tickSpacing,address pool)",
+        pool: (args) => args.pool,
+    },
+};
 
 /**
- * PairCreated event ABI
+ * Base DEX factories
  */
-const FACTORY_ABI = [
-    "event PairCreated(address indexed token0,address indexed token1,address pair,uint)",
+const FACTORIES = [
+    { name: "Uniswap V2", address: "0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6", event: "v2" },
+    { name: "Uniswap V3", address: "0x33128a8fC17869897dcE68Ed026d694621f6FDfD", event: "v3" },
+    { name: "Aerodrome", address: "0x420DD381b31aEf6683db6B902084cB0FFECe40Da", event: "aerodrome" },
+    { name: "Slipstream", address: "0x5e7BB104d84c7CB9B682AaC2F3d509f5F406809A", event: "slipstream" },
+    { name: "BaseSwap", address: "0xFDa619b6d20975be80A10332cD39b9a4b0FAa8BB", event: "v2" },
 ];
 
+const IFACES = Object.fromEntries(
+    Object.entries(EVENTS).map(([name, e]) => [name, new ethers.Interface([e.abi])])
+);
+
+const factoriesByAddress = new Map(FACTORIES.map((f) => [f.address.toLowerCase(), f]));
+
 /**
- * Ignore stablecoins + WETH pairs
+ * Quote side of a meme pool: WETH + stables
  */
-const IGNORE = new Set([
-    // WETH
-    "0x4200000000000000000000000000000000000006",
-
-    // USDC (Base)
-    "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913",
+const QUOTE_TOKENS = new Map([
+    ["0x4200000000000000000000000000000000000006", "WETH"],
+    ["0x833589fcd6edb6e08f4c7c32d4f71b54bda02913", "USDC"],
+    ["0x50c5725949a6f0c72e6c4a641f24049a917db0cb", "DAI"],
+    ["0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca", "USDbC"],
 ]);
 
+const stats = {
+    poolsSeen: 0,
+    launches: 0,
+    alerts: 0,
+    byDex: {},
+};
+
+let watching = false;
+
 /**
- * Prevent spam: alert once per pair
+ * Decode a factory log into a pool (null for unknown factories / events)
  */
-const seenPairs = new Set();
+function decodePoolCreated(log) {
+    const factory = factoriesByAddress.get(log.address.toLowerCase());
+    if (!factory) return null;
+
+    const parsed = IFACES[factory.event].parseLog(log);
+    if (!parsed) return null;
+
+    const { args } = parsed;
+    return {
+        factory,
+        token0: args.token0.toLowerCase(),
+        token1: args.token1.toLowerCase(),
+        pool: EVENTS[factory.event].pool(args).toLowerCase(),
+        kind: EVENTS[factory.event].kind,
+        stable: factory.event === "aerodrome" ? args.stable : null,
+    };
+}
 
 /**
- * Track token first seen time
+ * On-chain creation time of a pool (now if the block can't be fetched)
  */
-const tokenFirstSeen = new Map();
+async function getCreatedAt(log) {
+    try {
+        const block = await runRpc(() => provider.getBlock(log.blockNumber));
+        return block ? block.timestamp * 1000 : Date.now();
+    } catch {
+        return Date.now();
+    }
+}
 
-export function watchNewPools() {
-    console.log("🧪 Base Liquidity Watcher LIVE (Meme Launch Mode)");
-
-    for (const factoryInfo of FACTORIES) {
-        const factory = new ethers.Contract(
-            factoryInfo.address,
-            FACTORY_ABI,
-            provider
-        );
-
-        factory.on("PairCreated", async (token0, token1, pair) => {
-            try {
-                token0 = token0.toLowerCase();
-                token1 = token1.toLowerCase();
-                pair = pair.toLowerCase();
-
-                // Prevent duplicate alerts
-                if (seenPairs.has(pair)) return;
-                seenPairs.add(pair);
-
-                // Ignore stablecoin/WETH pools
-                if (IGNORE.has(token0) || IGNORE.has(token1)) return;
-
-                // Metadata
-                const meta0 = await getTokenMeta(provider, token0);
-                const meta1 = await getTokenMeta(provider, token1);
-
-                if (!meta0?.symbol || !meta1?.symbol) return;
-
-                // Decide meme token (not WETH)
-                const meme =
-                    meta0.symbol === "WETH" ? meta1 : meta0;
-
-                const memeToken =
-                    meta0.symbol === "WETH" ? token1 : token0;
-
-                // Track token age
-                if (!tokenFirstSeen.has(memeToken)) {
-                    tokenFirstSeen.set(memeToken, Date.now());
-                }
-
-                const age = Date.now() - tokenFirstSeen.get(memeToken);
-
-                // Only alert tokens < 5 mins old
-                if (age > 5 * 60 * 1000) return;
-
-                // ALERT
-                await sendAlert(
-                    `🚀 NEW MEME POOL LIVE (Base)\n\n` +
-                    `Token: ${meme.name} (${meme.symbol})\n` +
-                    `Pool: ${pair}\n` +
-                    `DEX: ${factoryInfo.name}\n\n` +
-                    `🔗 Pool: https://basescan.org/address/${pair}\n` +
-                    `🔗 Token: https://basescan.org/token/${memeToken}`
-                );
-
-                console.log("✅ New meme pool alert sent:", meme.symbol);
-            } catch (err) {
-                console.error("Factory watcher error:", err.message);
-            }
+async function handlePoolCreated(log) {
+    try {
+        const created = decodePoolCreated(log);
+        if (!created) return;
+
+        const { factory, token0, token1, pool } = created;
+        stats.poolsSeen++;
+        stats.byDex[factory.name] = (stats.byDex[factory.name] || 0) + 1;
+
+        // Meme pools pair exactly one quote token
+        const quote0 = QUOTE_TOKENS.has(token0);
+        const quote1 = QUOTE_TOKENS.has(token1);
+        if (quote0 === quote1) return;
+
+        const memeToken = quote0 ? token1 : token0;
+        const quote = QUOTE_TOKENS.get(quote0 ? token0 : token1);
+
+        const launch = {
+            token: memeToken,
+            pool,
+            dex: factory.name,
+            kind: created.kind,
+            quote,
+            stable: created.stable,
+            block: log.blockNumber,
+            createdAt: await getCreatedAt(log),
+        };
+
+        if (!recordLaunch(launch)) return; // extra pool for a token we already know
+        stats.launches++;
+        watchLaunchSnipers(launch, token0, token1);
+
+        if (!CONFIG.launches.alertNewPools || isPaused("base") || isMuted(memeToken)) return;
+
+        const meta = await getTokenMeta(provider, memeToken);
+        if (!meta?.symbol) return;
+
+        stats.alerts++;
+
+        emitAlert({
+            type: "new_pool",
+            chain: "base",
+            token: { address: memeToken, name: meta.name, symbol: meta.symbol },
+            pair: { address: pool, dex: factory.name },
+            trigger: { kind: "new_pool", description: `NEW ${quote} POOL ON ${factory.name.toUpperCase()}` },
+            market: { ageHours: 0 },
+            launch,
+            links: [
+                { label: "Dex", url: `https://dexscreener.com/base/${pool}` },
+                { label: "BaseScan", url: `https://basescan.org/token/${memeToken}` },
+            ],
         });
+        console.log(`🚀 New meme pool: ${meta.symbol} on ${factory.name} (${quote})`);
+    } catch (err) {
+        console.log("⚠️ Factory watcher error:", err.message);
     }
 }
+
+/**
+ * Subscribe to every factory with one log filter (polled with
+ * eth_getLogs by the shared provider)
+ */
+export function watchNewPools() {
+    if (watching) return;
+    watching = true;
+
+    console.log(`🧪 Base Factory Watcher LIVE (${FACTORIES.map((f) => f.name).join(", ")})`);
+
+    const topics = [...new Set(Object.values(IFACES).map((iface) => iface.fragments[0].topicHash))];
+
+    provider.on(
+        { address: FACTORIES.map((f) => f.address), topics: [topics] },
+        handlePoolCreated
+    );
+}
+
+/**
+ * Factory counters + registry size (status output)
+ */
+export function getFactoryStatus() {
+    return {
+        factories: FACTORIES.length,
+        ...stats,
+        byDex: { ...stats.byDex },
+        registry: getLaunchStats(),
+    };
+}
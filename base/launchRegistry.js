@@ -0,0 +1,97 @@
+/**
+ * ========================================
+ * 🚀 BASE LAUNCH REGISTRY
+ * ========================================
+ * Pools seen at creation by the factory watcher, so whale buys
+ * can be tied to an on-chain launch time instead of DexScreener's
+ * pairCreatedAt
+ */
+
+import { CONFIG } from "../config.js";
+import { registerCollection, markDirty } from "../services/store.js";
+
+const launches = new Map(); // token -> { token, pool, dex, kind, quote, stable, block, createdAt }
+const pools = new Map(); // pool -> token
+
+// Retention lives in CONFIG.launches.trackHours
+
+registerCollection("launchRegistry", {
+    dump: () => [...launches.values()],
+    restore: (data) => {
+        for (const launch of data || []) {
+            launches.set(launch.token, launch);
+            pools.set(launch.pool, launch.token);
+        }
+    },
+});
+
+/**
+ * Record a new pool — the first pool seen for a token is its launch
+ * @returns {boolean} true if this is the token's first pool
+ */
+export function recordLaunch(launch) {
+    pools.set(launch.pool, launch.token);
+    if (launches.has(launch.token)) return false;
+
+    launches.set(launch.token, launch);
+    markDirty("launchRegistry");
+    return true;
+}
+
+/**
+ * Launch of a token (null if created before we were watching)
+ */
+export function getLaunch(token) {
+    return launches.get(token.toLowerCase()) || null;
+}
+
+/**
+ * Token launched in a pool we saw created
+ */
+export function getLaunchByPool(pool) {
+    const token = pools.get(pool.toLowerCase());
+    return token ? launches.get(token) || null : null;
+}
+
+/**
+ * Hours since launch, null if unknown
+ */
+export function getLaunchAgeHours(token) {
+    const launch = getLaunch(token);
+    return launch ? (Date.now() - launch.createdAt) / (1000 * 60 * 60) : null;
+}
+
+/**
+ * Drop launches older than the tracking window
+ */
+export function cleanupLaunches() {
+    const cutoff = Date.now() - CONFIG.launches.trackHours * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const [token, launch] of launches.entries()) {
+        if (launch.createdAt >= cutoff) continue;
+        launches.delete(token);
+        removed++;
+    }
+    for (const [pool, token] of pools.entries()) {
+        if (!launches.has(token)) pools.delete(pool);
+    }
+
+    if (removed) {
+        markDirty("launchRegistry");
+        console.log(`🧹 Cleaned ${removed} old launches`);
+    }
+}
+
+/**
+ * Registry size and launches per DEX (status output)
+ */
+export function getLaunchStats() {
+    const byDex = {};
+    for (const launch of launches.values()) byDex[launch.dex] = (byDex[launch.dex] || 0) + 1;
+
+    return { tracked: launches.size, pools: pools.size, byDex };
+}
+
+// Cleanup every 10 minutes
+setInterval(cleanupLaunches, 600000);
@@ -1,11 +1,12 @@
 import { ethers } from "ethers";
 import { CONFIG } from "../config.js";
+import { getBaseProvider } from "../utils/rpcManager.js";
 
 const ABI = [
     "function publishSignal(address token,uint256 whaleBuys,uint256 liquidityUSD,uint256 marketCapUSD)"
 ];
 
-const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+const provider = getBaseProvider();
 const wallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, provider);
 
 export async function publishTrendingToken(
@@ -1,6 +1,34 @@
+import { CONFIG } from "../config.js";
 import { recordSniper } from "../sniperLeaderboard.js";
+import { registerCollection, markDirty } from "../services/store.js";
+import { getBaseProvider } from "../utils/rpcManager.js";
+import { runRpc } from "../utils/rpcPool.js";
+import { SWAP_TOPICS, getPoolKind, decodeSwapLog } from "./swapDecoder.js";
+import { resolveTrader } from "./buyerResolver.js";
+import { getLaunch } from "./launchRegistry.js";
 
-const sniperMap = new Map();
+/**
+ * ========================================
+ * 🎯 BASE SNIPER TRACKER
+ * ========================================
+ * Wallets buying a new pool in its creation block or the next
+ * CONFIG.launches.sniperBlocks blocks
+ */
+
+const provider = getBaseProvider();
+
+const BLOCK_TIME_MS = 2000;
+const MAX_SCAN_ATTEMPTS = 5;
+
+const sniperMap = new Map(); // wallet -> launches sniped
+const launchSnipers = new Map(); // token -> { pool, block, toBlock, wallets }
+
+registerCollection("baseSnipers", {
+    dump: () => [...launchSnipers.entries()],
+    restore: (data) => {
+        for (const [token, entry] of data || []) launchSnipers.set(token, entry);
+    },
+});
 
 export function trackBaseSniper(wallet) {
     const hits = (sniperMap.get(wallet) || 0) + 1;
@@ -10,3 +38,103 @@ export function trackBaseSniper(wallet) {
 
     return hits;
 }
+
+/**
+ * Buys of the launched token in the pool's first blocks
+ */
+async function findSniperBuys(launch, token0, token1, toBlock) {
+    const logs = await runRpc(() =>
+        provider.getLogs({
+            address: launch.pool,
+            topics: [Object.values(SWAP_TOPICS)],
+            fromBlock: launch.block,
+            toBlock,
+        })
+    );
+
+    const memeIsToken0 = token0 === launch.token;
+    const buys = [];
+
+    for (const log of logs) {
+        const kind = getPoolKind(log.topics[0]);
+        if (!kind) continue;
+
+        const swap = decodeSwapLog(log, kind);
+        const memeOut = memeIsToken0 ? swap.amount0Out : swap.amount1Out;
+        if (memeOut > 0n) buys.push(log);
+    }
+
+    return buys;
+}
+
+/**
+ * Scan a new pool once its sniper window has been mined
+ */
+async function scanLaunch(launch, token0, token1, attempt = 0) {
+    try {
+        const toBlock = launch.block + CONFIG.launches.sniperBlocks;
+        const head = await runRpc(() => provider.getBlockNumber());
+
+        if (head < toBlock && attempt < MAX_SCAN_ATTEMPTS) {
+            setTimeout(() => scanLaunch(launch, token0, token1, attempt + 1), (toBlock - head + 1) * BLOCK_TIME_MS);
+            return;
+        }
+
+        const buys = await findSniperBuys(launch, token0, token1, Math.min(toBlock, head));
+        const wallets = new Set();
+
+        for (const log of buys) {
+            const trader = await resolveTrader(log, provider);
+            if (trader) wallets.add(trader.wallet);
+        }
+
+        for (const wallet of wallets) trackBaseSniper(wallet);
+
+        launchSnipers.set(launch.token, {
+            pool: launch.pool,
+            block: launch.block,
+            toBlock: Math.min(toBlock, head),
+            wallets: [...wallets],
+        });
+        markDirty("baseSnipers");
+
+        if (wallets.size > 0) {
+            console.log(`🎯 ${wallets.size} snipers on ${launch.token.slice(0, 10)}... (${launch.dex}, ${buys.length} buys)`);
+        }
+    } catch (err) {
+        console.log("⚠️ Sniper scan failed:", err.message);
+    }
+}
+
+/**
+ * Watch the first blocks of a newly created pool for snipers
+ */
+export function watchLaunchSnipers(launch, token0, token1) {
+    const delay = (CONFIG.launches.sniperBlocks + 1) * BLOCK_TIME_MS;
+    setTimeout(() => scanLaunch(launch, token0, token1), delay);
+}
+
+/**
+ * Snipers on a token's launch, null if we didn't see it launch
+ */
+export function getSniperCount(token) {
+    return launchSnipers.get(token.toLowerCase())?.wallets.length ?? null;
+}
+
+/**
+ * Sniper wallets on a token's launch (null if unknown)
+ */
+export function getLaunchSnipers(token) {
+    return launchSnipers.get(token.toLowerCase()) || null;
+}
+
+// Drop launches that left the registry
+setInterval(() => {
+    let removed = 0;
+    for (const token of launchSnipers.keys()) {
+        if (getLaunch(token)) continue;
+        launchSnipers.delete(token);
+        removed++;
+    }
+    if (removed) markDirty("baseSnipers");
+}, 600000);
@@ -0,0 +1,88 @@
+import { ethers } from "ethers";
+import { PAIR_ABI } from "./pairAbi.js";
+
+/**
+ * ========================================
+ * 🔀 BASE SWAP DECODER
+ * ========================================
+ * Normalizes Uniswap V2, Uniswap V3 / Aerodrome Slipstream and
+ * Aerodrome volatile/stable pool Swap events into V2-style
+ * in/out amounts
+ */
+
+const AERODROME_SWAP = "Swap(address,address,uint256,uint256,uint256,uint256)";
+
+export const SWAP_TOPICS = {
+    v2: "0xd78ad95fa46c994b6551d0da85fc275fe613ce37657fb8d5e3d130840159d822",
+    // Uniswap V3 and Slipstream share the V3 event
+    cl: "0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67",
+    aerodrome: ethers.id(AERODROME_SWAP),
+};
+
+const IFACES = {
+    v2: new ethers.Interface(PAIR_ABI),
+    cl: new ethers.Interface([
+        "event Swap(address indexed sender,address indexed recipient,int256 amount0,int256 amount1,uint160 sqrtPriceX96,uint128 liquidity,int24 tick)",
+    ]),
+    aerodrome: new ethers.Interface([
+        "event Swap(address indexed sender,address indexed to,uint256 amount0In,uint256 amount1In,uint256 amount0Out,uint256 amount1Out)",
+    ]),
+};
+
+const POOL_ABI = [
+    ...PAIR_ABI.filter((item) => item.startsWith("function")),
+    "function stable() view returns (bool)", // Aerodrome pools only
+];
+
+/**
+ * Pool kind from the Swap topic ("v2" | "cl" | "aerodrome"), null if unknown
+ */
+export function getPoolKind(topic) {
+    return Object.keys(SWAP_TOPICS).find((kind) => SWAP_TOPICS[kind] === topic) || null;
+}
+
+/**
+ * token0 / token1 (+ stable flag for Aerodrome) of a pool
+ * @returns {Promise<{ token0: string, token1: string, kind: string, stable: boolean|null }|null>}
+ */
+export async function getPoolInfo(poolAddress, kind, provider) {
+    try {
+        const pool = new ethers.Contract(poolAddress, POOL_ABI, provider);
+        const [token0, token1, stable] = await Promise.all([
+            pool.token0(),
+            pool.token1(),
+            kind === "aerodrome" ? pool.stable() : null,
+        ]);
+
+        return { token0: token0.toLowerCase(), token1: token1.toLowerCase(), kind, stable };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Decode a Swap log into V2-style amounts (all non-negative bigints)
+ * CL amounts are pool deltas: positive = paid in, negative = paid out
+ */
+export function decodeSwapLog(log, kind) {
+    const { args } = IFACES[kind].parseLog(log);
+
+    if (kind === "cl") {
+        const { amount0, amount1, recipient } = args;
+        return {
+            amount0In: amount0 > 0n ? amount0 : 0n,
+            amount1In: amount1 > 0n ? amount1 : 0n,
+            amount0Out: amount0 < 0n ? -amount0 : 0n,
+            amount1Out: amount1 < 0n ? -amount1 : 0n,
+            to: recipient.toLowerCase(),
+        };
+    }
+
+    return {
+        amount0In: args.amount0In,
+        amount1In: args.amount1In,
+        amount0Out: args.amount0Out,
+        amount1Out: args.amount1Out,
+        to: args.to.toLowerCase(),
+    };
+}
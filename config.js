@@ -1,18 +1,335 @@
+import fs from "fs";
+import path from "path";
 import dotenv from "dotenv";
+import YAML from "yaml";
 dotenv.config({ path: "./.env" });
 
+/**
+ * ========================================
+ * ⚙️ CONFIG
+ * ========================================
+ * Secrets and endpoints come from env. Detector thresholds live in
+ * per-chain sections loaded from an optional JSON/YAML file
+ * (CONFIG_FILE, default ./chainpulse.config.{json,yaml,yml}) with
+ * env overrides on top, e.g. BASE_MIN_BUY_USD=500.
+ */
+
+// Section defaults — every key here is tunable
+const DEFAULTS = {
+    base: {
+        minBuyUsd: 300,
+        minWhales: 2,
+        bigSingleBuyUsd: 2000,
+        minLiquidity: 5000,
+        maxLiquidity: 500000,
+        minMarketCap: 10000,
+        maxMarketCap: 5000000,
+        maxTokenAgeHours: 48,
+        windowMs: 5 * 60 * 1000,
+        minScore: 40, // alpha score (0-100) needed to alert
+    },
+    solana: {
+        minBuyUsd: 200,
+        minWhales: 2,
+        bigSingleBuyUsd: 2000,
+        minLiquidity: 3000,
+        maxLiquidity: 300000,
+        maxMarketCap: 10000000,
+        maxTxAgeMs: 3 * 60 * 1000,
+        windowMs: 5 * 60 * 1000,
+        bundleSlotWindow: 2, // buys within N slots of creation count as bundled
+        maxBackfillSignatures: 300, // per program per catch-up; older ones are skipped
+        minScore: 40, // alpha score (0-100) needed to alert
+    },
+    whales: {
+        knownWhaleTotalUsd: 5000,
+    },
+    flow: {
+        minNetFlowUsd: 0, // whale alerts need window buys - sells >= this
+        exitMinSellUsd: 1000, // early-buyer sell that counts as a whale exit
+        exitWatchHours: 24, // how long after an alert exits are watched
+    },
+    launches: {
+        trackHours: 48, // how long new pools stay in the launch registry
+        alertNewPools: 0, // 1 = alert each new meme pool (no liquidity / score gate), 0 = track only
+        sniperBlocks: 2, // buys up to N blocks after pool creation count as snipes
+    },
+    scanner: {
+        minLiquidity: 200000,
+        minMarketCap: 300000,
+    },
+};
+
+// Keys that must be whole numbers (counts)
+const INTEGER_KEYS = new Set(["minWhales", "bundleSlotWindow", "maxBackfillSignatures", "alertNewPools", "sniperBlocks"]);
+
+// [min, max] pairs that must stay ordered
+const RANGES = [
+    ["minLiquidity", "maxLiquidity"],
+    ["minMarketCap", "maxMarketCap"],
+];
+
+function resolveConfigFile() {
+    if (process.env.CONFIG_FILE) return process.env.CONFIG_FILE;
+
+    return ["./chainpulse.config.json", "./chainpulse.config.yaml", "./chainpulse.config.yml"]
+        .find((file) => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(file) {
+    if (!file) return {};
+
+    const raw = fs.readFileSync(file, "utf8");
+    const data = /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+    return data ?? {};
+}
+
+// minBuyUsd -> MIN_BUY_USD
+const toEnvKey = (key) => key.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase();
+
+/**
+ * Build and validate the threshold sections (throws on any error)
+ */
+function loadSections(file) {
+    const fromFile = readConfigFile(file);
+    const errors = [];
+    const sections = {};
+
+    for (const name of Object.keys(fromFile)) {
+        if (!DEFAULTS[name]) errors.push(`unknown section "${name}"`);
+    }
+
+    for (const [name, defaults] of Object.entries(DEFAULTS)) {
+        const fileSection = fromFile[name] ?? {};
+        if (typeof fileSection !== "object" || Array.isArray(fileSection)) {
+            errors.push(`${name} must be an object`);
+            continue;
+        }
+
+        for (const key of Object.keys(fileSection)) {
+            if (!(key in defaults)) errors.push(`unknown key ${name}.${key}`);
+        }
+
+        const section = {};
+        for (const [key, fallback] of Object.entries(defaults)) {
+            const envValue = process.env[`${name.toUpperCase()}_${toEnvKey(key)}`];
+            const value = envValue !== undefined && envValue !== ""
+                ? Number(envValue)
+                : fileSection[key] ?? fallback;
+
+            if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+                errors.push(`${name}.${key} must be a non-negative number (got ${envValue ?? fileSection[key]})`);
+            } else if (INTEGER_KEYS.has(key) && !Number.isInteger(value)) {
+                errors.push(`${name}.${key} must be a whole number`);
+            }
+            section[key] = value;
+        }
+
+        for (const [min, max] of RANGES) {
+            if (min in section && section[min] > section[max]) {
+                errors.push(`${name}.${min} (${section[min]}) is above ${name}.${max} (${section[max]})`);
+            }
+        }
+
+        sections[name] = section;
+    }
+
+    if (errors.length) {
+        throw new Error(`Invalid config${file ? ` (${file})` : ""}:\n  - ${errors.join("\n  - ")}`);
+    }
+    return sections;
+}
+
+const CONFIG_FILE = resolveConfigFile();
+
+/**
+ * Per-channel alert filter from env (e.g. DISCORD_CHAINS, DISCORD_MIN_SCORE)
+ */
+function channelFilter(prefix) {
+    return {
+        chains: process.env[`${prefix}_CHAINS`],
+        minLiquidity: process.env[`${prefix}_MIN_LIQUIDITY`],
+        minScore: process.env[`${prefix}_MIN_SCORE`],
+    };
+}
+
+// Comma-separated endpoint lists, first = primary (see utils/rpcManager.js)
+const urlList = (value) => (value || "").split(",").map((url) => url.trim()).filter(Boolean);
+
+const BASE_RPC_URLS = urlList(process.env.BASE_RPC);
+const BASE_WSS_URLS = urlList(process.env.BASE_WSS);
+const SOLANA_RPC_URLS = urlList(process.env.SOLANA_RPC);
+
+// web3.js convention: ws(s) on the RPC host, explicit ports + 1
+function toWsUrl(rpcUrl) {
+    try {
+        const url = new URL(rpcUrl);
+        url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+        if (url.port) url.port = String(Number(url.port) + 1);
+        return url.toString();
+    } catch {
+        return rpcUrl;
+    }
+}
+
+const SOLANA_WSS_URLS = urlList(process.env.SOLANA_WSS).length
+    ? urlList(process.env.SOLANA_WSS)
+    : SOLANA_RPC_URLS.map(toWsUrl);
+
 export const CONFIG = {
-    BASE_RPC: process.env.BASE_RPC,
-    BASE_WSS: process.env.BASE_WSS,
+    BASE_RPC: BASE_RPC_URLS[0],
+    BASE_RPC_URLS,
+    BASE_WSS: BASE_WSS_URLS[0],
+    BASE_WSS_URLS,
+
+    SOLANA_RPC: SOLANA_RPC_URLS[0],
+    SOLANA_RPC_URLS,
+    SOLANA_WSS: SOLANA_WSS_URLS[0],
+    SOLANA_WSS_URLS, // default: derived from SOLANA_RPC
+    SOLANA_INGEST: (process.env.SOLANA_INGEST || "websocket").toLowerCase(), // websocket | polling
 
-    SOLANA_RPC: process.env.SOLANA_RPC,
+    // Shared RPC worker pool (utils/rpcPool.js)
+    RPC_CONCURRENCY: Number(process.env.RPC_CONCURRENCY) || 4,
+    RPC_BATCH_SIZE: Number(process.env.RPC_BATCH_SIZE) || 20,
 
     TG_TOKEN: process.env.TG_BOT_TOKEN,
     TG_CHAT_ID: process.env.TG_CHAT_ID,
+    TG_COMMANDS_ENABLED: process.env.TG_COMMANDS_ENABLED !== "false",
+    TG_ADMIN_IDS: (process.env.TG_ADMIN_IDS || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean),
 
     PRIVATE_KEY: process.env.PRIVATE_KEY,
 
     ALERT_REGISTRY: process.env.ALERT_REGISTRY,
     SUBSCRIPTION_REGISTRY: process.env.SUBSCRIPTION_REGISTRY,
     USAGE_TRACKER: process.env.USAGE_TRACKER,
+
+    STORE_BACKEND: process.env.STORE_BACKEND || "file",
+    STORE_DIR: process.env.STORE_DIR || "./data",
+    STORE_FLUSH_MS: Number(process.env.STORE_FLUSH_MS) || 2000,
+
+    API_ENABLED: process.env.API_ENABLED !== "false",
+    API_PORT: Number(process.env.API_PORT) || 3000,
+
+    STREAM_ENABLED: process.env.STREAM_ENABLED !== "false",
+    STREAM_PORT: Number(process.env.STREAM_PORT) || 3001, // only used when the API is disabled
+
+    // Alert delivery channels (see services/notifiers.js)
+    NOTIFIERS: {
+        telegram: {
+            enabled: Boolean(process.env.TG_BOT_TOKEN && process.env.TG_CHAT_ID),
+            token: process.env.TG_BOT_TOKEN,
+            chatId: process.env.TG_CHAT_ID,
+            filter: channelFilter("TG"),
+        },
+        discord: {
+            enabled: Boolean(process.env.DISCORD_WEBHOOK_URL),
+            url: process.env.DISCORD_WEBHOOK_URL,
+            filter: channelFilter("DISCORD"),
+        },
+        slack: {
+            enabled: Boolean(process.env.SLACK_WEBHOOK_URL),
+            url: process.env.SLACK_WEBHOOK_URL,
+            filter: channelFilter("SLACK"),
+        },
+        webhook: {
+            enabled: Boolean(process.env.WEBHOOK_URL),
+            url: process.env.WEBHOOK_URL,
+            secret: process.env.WEBHOOK_SECRET,
+            filter: channelFilter("WEBHOOK"),
+        },
+        email: {
+            enabled: Boolean(process.env.SMTP_HOST && process.env.EMAIL_TO),
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+            from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+            to: process.env.EMAIL_TO,
+            filter: channelFilter("EMAIL"),
+        },
+        subscribers: {
+            enabled: Boolean(process.env.TG_BOT_TOKEN) && process.env.SUBSCRIPTIONS_ENABLED !== "false",
+        },
+    },
+
+    SUBSCRIBER_MAX_ALERTS_PER_HOUR: Number(process.env.SUBSCRIBER_MAX_ALERTS_PER_HOUR) || 20,
+
+    // Detector thresholds — read at call time, updated in place on reload
+    ...loadSections(CONFIG_FILE),
 };
+
+/**
+ * Fail fast when the engine is missing its chain endpoints
+ * (the scanner only needs Telegram, so this is not checked on load)
+ */
+export function assertEngineConfig() {
+    // BASE_RPC backs the factory watcher, sniper tracker and Base analyzers
+    const missing = ["BASE_RPC", "BASE_WSS", "SOLANA_RPC"].filter((key) => !CONFIG[key]);
+    if (missing.length) {
+        throw new Error(`Missing required env: ${missing.join(", ")}`);
+    }
+
+    if (!["websocket", "polling"].includes(CONFIG.SOLANA_INGEST)) {
+        throw new Error(`SOLANA_INGEST must be "websocket" or "polling" (got "${CONFIG.SOLANA_INGEST}")`);
+    }
+}
+
+/**
+ * Re-read the config file + env overrides and apply them in place.
+ * An invalid file is rejected and the running values are kept.
+ */
+export function reloadConfig() {
+    let next;
+    try {
+        next = loadSections(CONFIG_FILE);
+    } catch (err) {
+        console.log("⚠️ Config reload rejected:", err.message);
+        return false;
+    }
+
+    const changed = [];
+    for (const [name, section] of Object.entries(next)) {
+        for (const [key, value] of Object.entries(section)) {
+            if (CONFIG[name][key] !== value) changed.push(`${name}.${key}=${value}`);
+        }
+        Object.assign(CONFIG[name], section);
+    }
+
+    console.log(`🔄 Config reloaded${changed.length ? `: ${changed.join(", ")}` : " (no changes)"}`);
+    return true;
+}
+
+let watching = false;
+
+/**
+ * Reload on SIGHUP and whenever the config file changes
+ */
+export function watchConfig() {
+    if (watching) return;
+    watching = true;
+
+    process.on("SIGHUP", () => {
+        console.log("📨 SIGHUP received");
+        reloadConfig();
+    });
+
+    if (!CONFIG_FILE) return;
+
+    // Watch the directory: editors often save by replacing the file,
+    // and fire several events per save
+    let timer = null;
+    try {
+        fs.watch(path.dirname(CONFIG_FILE), (event, filename) => {
+            if (filename !== path.basename(CONFIG_FILE)) return;
+            clearTimeout(timer);
+            timer = setTimeout(reloadConfig, 500);
+        });
+        console.log(`👀 Watching ${CONFIG_FILE} for changes`);
+    } catch (err) {
+        console.log(`⚠️ Cannot watch ${CONFIG_FILE}:`, err.message);
+    }
+}
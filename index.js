@@ -1,6 +1,21 @@
-import { watchBase } from "./base/baseWatcher.js";
-import { watchSolanaMomentum } from "./solana/solanaMomentumWatcher.js";
-import { queueAlert } from "./utils/alertQueue.js";
+import { CONFIG, assertEngineConfig, watchConfig } from "./config.js";
+
+// Check endpoints before any detector module opens a connection
+try {
+    assertEngineConfig();
+} catch (err) {
+    console.error("❌ " + err.message);
+    process.exit(1);
+}
+
+const { watchBase } = await import("./base/baseWatcher.js");
+const { watchNewPools } = await import("./base/factoryWatcher.js");
+const { watchSolanaMomentum } = await import("./solana/solanaMomentumWatcher.js");
+const { queueAlert } = await import("./utils/alertQueue.js");
+const { restoreState, flushState } = await import("./services/store.js");
+const { startApiServer } = await import("./services/apiServer.js");
+const { startAlertStream } = await import("./services/alertStream.js");
+const { startTelegramBot } = await import("./services/telegramBot.js");
 
 // Optional — only import if these files exist
 let getTrendingTokens = null;
@@ -30,6 +45,16 @@ globalThis.__CHAINPULSE_STARTED__ = true;
 console.log("🚀 ChainPulse Alpha Engine LIVE");
 console.log("━".repeat(50));
 
+// Thresholds reload on SIGHUP / config file edits without restarting detectors
+watchConfig();
+
+// Restore tracker state before detectors start (prevents re-alerting)
+try {
+    await restoreState();
+} catch (err) {
+    console.error("❌ State restore failed:", err.message);
+}
+
 try {
     watchBase();
     console.log("✅ Base detector initialized");
@@ -38,6 +63,14 @@ try {
     queueAlert("⚠️ Base detector startup failed: " + err.message);
 }
 
+try {
+    watchNewPools();
+    console.log("✅ Base factory watcher initialized");
+} catch (err) {
+    console.error("❌ Base factory watcher failed:", err.message);
+    queueAlert("⚠️ Base factory watcher startup failed: " + err.message);
+}
+
 try {
     watchSolanaMomentum();
     console.log("✅ Solana detector initialized");
@@ -46,6 +79,35 @@ try {
     queueAlert("⚠️ Solana detector startup failed: " + err.message);
 }
 
+let apiServer = null;
+
+if (CONFIG.API_ENABLED) {
+    try {
+        apiServer = startApiServer();
+        console.log("✅ API server initialized");
+    } catch (err) {
+        console.error("❌ API server failed:", err.message);
+    }
+}
+
+if (CONFIG.STREAM_ENABLED) {
+    try {
+        startAlertStream(apiServer ? { server: apiServer } : {});
+        console.log("✅ Alert stream initialized");
+    } catch (err) {
+        console.error("❌ Alert stream failed:", err.message);
+    }
+}
+
+if (CONFIG.TG_TOKEN && CONFIG.TG_COMMANDS_ENABLED) {
+    try {
+        startTelegramBot();
+        console.log("✅ Telegram command bot initialized");
+    } catch (err) {
+        console.error("❌ Telegram command bot failed:", err.message);
+    }
+}
+
 console.log("━".repeat(50));
 console.log("🎯 Status: OPERATIONAL");
 console.log("📡 Monitoring: Base Chain + Solana");
@@ -109,12 +171,12 @@ setInterval(() => {
 process.on("SIGINT", () => {
     console.log("\n🛑 Shutting down...");
     queueAlert("🛑 ChainPulse shutting down");
-    setTimeout(() => process.exit(0), 3000);
+    flushState().finally(() => setTimeout(() => process.exit(0), 3000));
 });
 
 process.on("SIGTERM", () => {
     console.log("\n🛑 SIGTERM received...");
-    setTimeout(() => process.exit(0), 3000);
+    flushState().finally(() => setTimeout(() => process.exit(0), 3000));
 });
 
 process.on("unhandledRejection", (reason) => {
@@ -124,7 +186,7 @@ process.on("unhandledRejection", (reason) => {
 process.on("uncaughtException", (error) => {
     console.error("❌ Uncaught Exception:", error.message);
     queueAlert(`⚠️ Critical Error: ${error.message}`);
-    setTimeout(() => process.exit(1), 5000);
+    flushState().finally(() => setTimeout(() => process.exit(1), 5000));
 });
 
 
@@ -1,6 +1,7 @@
 import axios from "axios";
 import dotenv from "dotenv";
 import fs from "fs";
+import { CONFIG } from "./config.js";
 
 dotenv.config();
 
@@ -67,8 +68,7 @@ async function fetchTrending(query) {
  *  WHALE FILTERS
  * ================================
  */
-const MIN_LIQ = 200000;
-const MIN_MCAP = 300000;
+// Thresholds live in CONFIG.scanner (SCANNER_MIN_LIQUIDITY, SCANNER_MIN_MARKET_CAP)
 
 /**
  * ================================
@@ -88,8 +88,8 @@ async function runScanner() {
     const solGood = solPairs.filter(
         (p) =>
             p.chainId === "solana" &&
-            p.liquidity?.usd > MIN_LIQ &&
-            p.fdv > MIN_MCAP
+            p.liquidity?.usd > CONFIG.scanner.minLiquidity &&
+            p.fdv > CONFIG.scanner.minMarketCap
     );
 
     /**
@@ -99,8 +99,8 @@ async function runScanner() {
     const baseGood = basePairs.filter(
         (p) =>
             p.chainId === "base" &&
-            p.liquidity?.usd > MIN_LIQ &&
-            p.fdv > MIN_MCAP
+            p.liquidity?.usd > CONFIG.scanner.minLiquidity &&
+            p.fdv > CONFIG.scanner.minMarketCap
     );
 
     /**
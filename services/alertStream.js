@@ -0,0 +1,113 @@
+import { WebSocketServer } from "ws";
+import { CONFIG } from "../config.js";
+import { onAlert, getAlertsSince, getLastAlertId } from "../utils/alertHistory.js";
+import { parseAlertFilter, matchesAlertFilter } from "../utils/alertFilter.js";
+
+/**
+ * ========================================
+ * 📡 WEBSOCKET ALERT STREAM
+ * ========================================
+ * Pushes every alert as JSON to connected clients.
+ *
+ * Query (or "subscribe" message): chain, minLiquidity, minScore
+ * Resume: ?since=<alertId> or { "type": "resume", "lastId": <alertId> }
+ */
+
+const HEARTBEAT_MS = 30000;
+
+function send(ws, payload) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(payload));
+}
+
+/**
+ * Deliver an alert if it passes the client filter
+ */
+function deliver(ws, alert) {
+    if (alert.id <= ws.lastId) return;
+    if (!matchesAlertFilter(alert, ws.filter)) return;
+
+    ws.lastId = alert.id;
+    send(ws, { type: "alert", alert });
+}
+
+function replaySince(ws, lastId) {
+    ws.lastId = lastId;
+    for (const alert of getAlertsSince(lastId)) deliver(ws, alert);
+}
+
+function handleMessage(ws, raw) {
+    let msg;
+    try {
+        msg = JSON.parse(raw);
+    } catch {
+        return send(ws, { type: "error", error: "Invalid JSON" });
+    }
+
+    switch (msg.type) {
+        case "subscribe":
+            ws.filter = parseAlertFilter(msg);
+            send(ws, { type: "subscribed", filter: ws.filter });
+            break;
+        case "resume":
+            replaySince(ws, Number(msg.lastId) || 0);
+            break;
+        case "ping":
+            send(ws, { type: "pong", lastId: getLastAlertId() });
+            break;
+        default:
+            send(ws, { type: "error", error: `Unknown message type: ${msg.type}` });
+    }
+}
+
+/**
+ * Start the stream
+ * @param {{ server?: import("http").Server, port?: number }} options
+ *   Attach to an existing HTTP server (path /stream) or listen on its own port
+ */
+export function startAlertStream({ server, port = CONFIG.STREAM_PORT } = {}) {
+    const wss = server
+        ? new WebSocketServer({ server, path: "/stream" })
+        : new WebSocketServer({ port });
+
+    wss.on("connection", (ws, req) => {
+        const query = Object.fromEntries(new URL(req.url, "http://localhost").searchParams);
+
+        ws.isAlive = true;
+        ws.filter = parseAlertFilter(query);
+        ws.lastId = getLastAlertId();
+
+        ws.on("pong", () => { ws.isAlive = true; });
+        ws.on("message", (raw) => handleMessage(ws, raw.toString()));
+        ws.on("error", (err) => console.log("⚠️ Stream client error:", err.message));
+
+        send(ws, { type: "hello", lastId: getLastAlertId(), filter: ws.filter });
+
+        if (query.since !== undefined) replaySince(ws, Number(query.since) || 0);
+    });
+
+    const unsubscribe = onAlert((alert) => {
+        for (const ws of wss.clients) deliver(ws, alert);
+    });
+
+    // Drop clients that stopped answering pings
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, HEARTBEAT_MS);
+
+    wss.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    wss.on("error", (err) => console.error("❌ Alert stream error:", err.message));
+
+    console.log(server ? "📡 Alert stream on /stream" : `📡 Alert stream listening on :${port}`);
+    return wss;
+}
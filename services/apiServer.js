@@ -0,0 +1,154 @@
+import express from "express";
+import cors from "cors";
+import { CONFIG } from "../config.js";
+import { getAlerts, getTokenAlerts } from "../utils/alertHistory.js";
+import { getBaseStatus, getBaseTokenState } from "../base/baseWatcher.js";
+import { getFactoryStatus } from "../base/factoryWatcher.js";
+import { getSolanaStatus, getSolanaTokenState } from "../solana/solanaMomentumWatcher.js";
+import { getFlowStats } from "../utils/flowTracker.js";
+import { getRpcPoolStats } from "../utils/rpcPool.js";
+import { getRpcStatus } from "../utils/rpcManager.js";
+import { getTrendingTokens } from "../solana/trendingLeaderboard.js";
+import { getTopInsiders } from "../sniper/insiderTracker.js";
+import { getTopSnipers } from "../sniperLeaderboard.js";
+import { getQueueStatus } from "../utils/alertQueue.js";
+import { getSubscriptionStats } from "./subscriptions.js";
+
+/**
+ * ========================================
+ * 🌐 REST API
+ * ========================================
+ * Read-only HTTP API for the dashboard
+ */
+
+const CHAINS = ["base", "solana"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Slice a list using ?limit=&offset=
+ */
+function paginate(items, query) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+
+    return {
+        total: items.length,
+        limit,
+        offset,
+        items: items.slice(offset, offset + limit),
+    };
+}
+
+/**
+ * Read ?chain= (null = all chains)
+ */
+function getChainFilter(req, res) {
+    const { chain } = req.query;
+    if (!chain) return null;
+
+    if (!CHAINS.includes(chain)) {
+        res.status(400).json({ error: `Unknown chain: ${chain}` });
+        return undefined;
+    }
+    return chain;
+}
+
+function createApp() {
+    const app = express();
+
+    app.use(cors());
+
+    app.get("/alerts", (req, res) => {
+        const chain = getChainFilter(req, res);
+        if (chain === undefined) return;
+
+        res.json(paginate(getAlerts({ chain }), req.query));
+    });
+
+    app.get("/tokens/:chain/:address", (req, res) => {
+        const { chain } = req.params;
+        let { address } = req.params;
+
+        if (!CHAINS.includes(chain)) {
+            return res.status(400).json({ error: `Unknown chain: ${chain}` });
+        }
+
+        if (chain === "base") address = address.toLowerCase();
+
+        const state = chain === "base"
+            ? getBaseTokenState(address)
+            : getSolanaTokenState(address);
+        const alerts = getTokenAlerts(chain, address);
+
+        if (!state.alerted && !state.tracking && alerts.length === 0) {
+            return res.status(404).json({ error: "Token not tracked" });
+        }
+
+        res.json({ chain, address, ...state, alerts });
+    });
+
+    app.get("/leaderboard/trending", (req, res) => {
+        const chain = getChainFilter(req, res);
+        if (chain === undefined) return;
+
+        // Trending leaderboard only tracks Solana mints
+        const tokens = !chain || chain === "solana"
+            ? getTrendingTokens(Infinity).map((t) => ({ chain: "solana", ...t }))
+            : [];
+
+        res.json(paginate(tokens, req.query));
+    });
+
+    app.get("/leaderboard/insiders", (req, res) => {
+        res.json(paginate(getTopInsiders(Infinity), req.query));
+    });
+
+    app.get("/snipers", (req, res) => {
+        const chain = getChainFilter(req, res);
+        if (chain === undefined) return;
+
+        const snipers = getTopSnipers(Infinity).filter((s) => !chain || s.chain === chain);
+        res.json(paginate(snipers, req.query));
+    });
+
+    app.get("/status", (req, res) => {
+        res.json({
+            uptime: Math.round(process.uptime()),
+            memoryMb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+            base: { ...getBaseStatus(), factories: getFactoryStatus() },
+            solana: getSolanaStatus(),
+            flow: getFlowStats(),
+            rpc: { pool: getRpcPoolStats(), endpoints: getRpcStatus() },
+            notifiers: getQueueStatus(),
+            subscriptions: getSubscriptionStats(),
+        });
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ error: "Not found" });
+    });
+
+    app.use((err, req, res, next) => {
+        console.log("⚠️ API error:", err.message);
+        res.status(500).json({ error: "Internal error" });
+    });
+
+    return app;
+}
+
+/**
+ * Start the HTTP server
+ * @returns {import("http").Server}
+ */
+export function startApiServer(port = CONFIG.API_PORT) {
+    const server = createApp().listen(port, () => {
+        console.log(`🌐 API listening on :${port}`);
+    });
+
+    server.on("error", (err) => {
+        console.error("❌ API server error:", err.message);
+    });
+
+    return server;
+}
@@ -1,7 +1,8 @@
 import { ethers } from "ethers";
 import { CONFIG } from "../config.js";
+import { getBaseProvider } from "../utils/rpcManager.js";
 
-const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+const provider = getBaseProvider();
 const wallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, provider);
 
 export const alertRegistry = new ethers.Contract(
@@ -0,0 +1,27 @@
+import axios from "axios";
+import { renderMarkdown } from "../utils/alertRenderers.js";
+
+/**
+ * ========================================
+ * 💬 DISCORD WEBHOOK NOTIFIER
+ * ========================================
+ */
+
+const MAX_CONTENT = 2000; // Discord message limit
+
+export function createDiscordNotifier({ url, username = "ChainPulse" }) {
+    return {
+        name: "discord",
+        intervalMs: 1000,
+
+        async send(msg) {
+            const content = typeof msg === "string" ? msg : renderMarkdown(msg);
+
+            await axios.post(
+                url,
+                { username, content: content.slice(0, MAX_CONTENT) },
+                { timeout: 10000 }
+            );
+        },
+    };
+}
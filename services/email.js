@@ -0,0 +1,35 @@
+import nodemailer from "nodemailer";
+import { renderPlainText } from "../utils/alertRenderers.js";
+
+/**
+ * ========================================
+ * 📧 SMTP EMAIL NOTIFIER
+ * ========================================
+ */
+
+export function createEmailNotifier({ host, port, secure, user, pass, from, to }) {
+    const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+    });
+
+    return {
+        name: "email",
+        intervalMs: 2000,
+
+        async send(msg) {
+            const subject = typeof msg === "string"
+                ? `[ChainPulse] ${msg.split("\n")[0].slice(0, 80)}`
+                : `[ChainPulse] ${msg.chain.toUpperCase()} $${msg.token.symbol} — ${msg.trigger.description}`;
+
+            await transport.sendMail({
+                from,
+                to,
+                subject,
+                text: typeof msg === "string" ? msg : renderPlainText(msg),
+            });
+        },
+    };
+}
@@ -0,0 +1,76 @@
+import { CONFIG } from "../config.js";
+import { parseAlertFilter } from "../utils/alertFilter.js";
+import { createTelegramNotifier } from "./telegram.js";
+import { createDiscordNotifier } from "./discord.js";
+import { createSlackNotifier } from "./slack.js";
+import { createWebhookNotifier } from "./webhook.js";
+import { createEmailNotifier } from "./email.js";
+import { createSubscriberNotifier } from "./subscriptions.js";
+
+/**
+ * ========================================
+ * 📣 NOTIFIER REGISTRY
+ * ========================================
+ * Delivery channels the alert queue fans out to.
+ *
+ * A notifier is { name, send(msg, target), intervalMs, filter, route? }
+ * where msg is a plain string (system message) or an AlertEvent.
+ * route(msg), when present, returns the targets to deliver to.
+ */
+
+const notifiers = new Map();
+let loaded = false;
+
+const FACTORIES = {
+    telegram: createTelegramNotifier,
+    discord: createDiscordNotifier,
+    slack: createSlackNotifier,
+    webhook: createWebhookNotifier,
+    email: createEmailNotifier,
+    subscribers: createSubscriberNotifier,
+};
+
+/**
+ * Add (or replace) a channel
+ */
+export function registerNotifier(notifier, filter = {}) {
+    if (!notifier?.name || typeof notifier.send !== "function") {
+        throw new Error("Notifier must have a name and a send(msg) function");
+    }
+
+    notifiers.set(notifier.name, {
+        intervalMs: 1000,
+        ...notifier,
+        filter: parseAlertFilter(filter),
+    });
+}
+
+export function unregisterNotifier(name) {
+    return notifiers.delete(name);
+}
+
+/**
+ * Build the channels enabled in CONFIG.NOTIFIERS
+ */
+export function loadNotifiersFromConfig() {
+    loaded = true;
+
+    for (const [name, settings] of Object.entries(CONFIG.NOTIFIERS)) {
+        if (!settings.enabled) continue;
+
+        try {
+            registerNotifier(FACTORIES[name](settings), settings.filter);
+            console.log(`📣 Notifier enabled: ${name}`);
+        } catch (err) {
+            console.error(`❌ Notifier ${name} failed to load:`, err.message);
+        }
+    }
+}
+
+/**
+ * All registered channels
+ */
+export function getNotifiers() {
+    if (!loaded) loadNotifiersFromConfig();
+    return [...notifiers.values()];
+}
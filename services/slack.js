@@ -0,0 +1,21 @@
+import axios from "axios";
+import { renderSlackMrkdwn } from "../utils/alertRenderers.js";
+
+/**
+ * ========================================
+ * 💬 SLACK WEBHOOK NOTIFIER
+ * ========================================
+ */
+
+export function createSlackNotifier({ url }) {
+    return {
+        name: "slack",
+        intervalMs: 1000,
+
+        async send(msg) {
+            const text = typeof msg === "string" ? msg : renderSlackMrkdwn(msg);
+
+            await axios.post(url, { text, mrkdwn: true }, { timeout: 10000 });
+        },
+    };
+}
@@ -0,0 +1,173 @@
+import fs from "fs";
+import path from "path";
+import { CONFIG } from "../config.js";
+
+/**
+ * ========================================
+ * 💾 PERSISTENT STATE STORE
+ * ========================================
+ * Write-through persistence for the in-memory trackers.
+ * Modules register a collection (dump + restore), mark it dirty on
+ * every write, and the store flushes dirty collections to the backend.
+ */
+
+const collections = new Map(); // name -> { dump, restore }
+const dirty = new Set();
+
+let backend = null;
+let flushTimer = null;
+let flushing = null;
+let booted = false;
+
+/**
+ * File backend — one JSON file per collection
+ */
+export function createFileBackend(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    return {
+        name: "file",
+
+        async read(name) {
+            const file = path.join(dir, `${name}.json`);
+            try {
+                const raw = await fs.promises.readFile(file, "utf8");
+                return JSON.parse(raw);
+            } catch (err) {
+                if (err.code !== "ENOENT") {
+                    console.log(`⚠️  Store: unreadable ${name}.json:`, err.message);
+                }
+                return null;
+            }
+        },
+
+        async write(name, data) {
+            const file = path.join(dir, `${name}.json`);
+            const tmp = `${file}.tmp`;
+
+            // Write + rename so a crash never leaves a half-written file
+            await fs.promises.writeFile(tmp, JSON.stringify(data));
+            await fs.promises.rename(tmp, file);
+        },
+    };
+}
+
+/**
+ * Memory backend — no persistence (tests, dry runs)
+ */
+export function createMemoryBackend() {
+    const data = new Map();
+
+    return {
+        name: "memory",
+        async read(name) {
+            return data.has(name) ? structuredClone(data.get(name)) : null;
+        },
+        async write(name, value) {
+            data.set(name, structuredClone(value));
+        },
+    };
+}
+
+/**
+ * Swap the storage backend (anything with async read/write)
+ */
+export function setStoreBackend(custom) {
+    if (typeof custom?.read !== "function" || typeof custom?.write !== "function") {
+        throw new Error("Store backend must implement read(name) and write(name, data)");
+    }
+    backend = custom;
+}
+
+function getBackend() {
+    if (backend) return backend;
+
+    backend = CONFIG.STORE_BACKEND === "memory"
+        ? createMemoryBackend()
+        : createFileBackend(CONFIG.STORE_DIR);
+
+    return backend;
+}
+
+/**
+ * Register a collection to be persisted
+ * @param {string} name - Collection name (file name for the file backend)
+ * @param {{ dump: Function, restore: Function }} handlers
+ */
+export function registerCollection(name, { dump, restore }) {
+    collections.set(name, { dump, restore });
+
+    // Late registration (module imported after boot) — restore right away
+    if (booted) restoreCollection(name);
+}
+
+async function restoreCollection(name) {
+    try {
+        const data = await getBackend().read(name);
+        if (data === null) return false;
+
+        collections.get(name).restore(data);
+        return true;
+    } catch (err) {
+        console.log(`⚠️  Store: failed to restore ${name}:`, err.message);
+        return false;
+    }
+}
+
+/**
+ * Flag a collection as changed — flushed shortly after
+ */
+export function markDirty(name) {
+    if (!collections.has(name)) return;
+
+    dirty.add(name);
+
+    if (!flushTimer) {
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flushState();
+        }, CONFIG.STORE_FLUSH_MS);
+    }
+}
+
+/**
+ * Load every registered collection from the backend
+ */
+export async function restoreState() {
+    booted = true;
+    let restored = 0;
+
+    for (const name of collections.keys()) {
+        if (await restoreCollection(name)) restored++;
+    }
+
+    console.log(`💾 Restored ${restored}/${collections.size} collections (${getBackend().name} store)`);
+    return restored;
+}
+
+/**
+ * Write all dirty collections to the backend
+ */
+export async function flushState() {
+    if (flushing) await flushing;
+    if (dirty.size === 0) return;
+
+    const names = [...dirty];
+    dirty.clear();
+
+    flushing = (async () => {
+        const store = getBackend();
+
+        for (const name of names) {
+            try {
+                await store.write(name, collections.get(name).dump());
+            } catch (err) {
+                console.log(`⚠️  Store: failed to write ${name}:`, err.message);
+                dirty.add(name);
+            }
+        }
+    })();
+
+    await flushing;
+    flushing = null;
+}
@@ -0,0 +1,273 @@
+import { CONFIG } from "../config.js";
+import { registerCollection, markDirty } from "./store.js";
+import { renderTelegramHtml } from "../utils/alertRenderers.js";
+import { sendTelegramMessage } from "./telegram.js";
+
+/**
+ * ========================================
+ * 👤 SUBSCRIPTIONS
+ * ========================================
+ * Per-chat alert subscriptions with personal filters,
+ * hourly rate limits and usage counting.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const subscribers = new Map(); // chatId -> subscriber
+
+registerCollection("subscriptions", {
+    dump: () => [...subscribers.values()],
+    restore: (list) => {
+        for (const sub of list) subscribers.set(sub.chatId, sub);
+    },
+});
+
+/**
+ * Editable filter keys (/set <key> <value>)
+ */
+export const FILTER_KEYS = {
+    chains: (v) => v.split(",").map((c) => c.trim().toLowerCase()).filter(Boolean),
+    minbuy: Number,
+    minmcap: Number,
+    maxmcap: Number,
+    minliq: Number,
+    maxliq: Number,
+    minscore: Number,
+    ratelimit: Number,
+};
+
+const FILTER_FIELDS = {
+    chains: "chains",
+    minbuy: "minBuyUsd",
+    minmcap: "minMarketCap",
+    maxmcap: "maxMarketCap",
+    minliq: "minLiquidity",
+    maxliq: "maxLiquidity",
+    minscore: "minScore",
+    ratelimit: "maxAlertsPerHour",
+};
+
+function defaultFilters() {
+    return {
+        chains: ["base", "solana"],
+        minBuyUsd: 0,
+        minMarketCap: 0,
+        maxMarketCap: 0, // 0 = no limit
+        minLiquidity: 0,
+        maxLiquidity: 0, // 0 = no limit
+        minScore: 0,
+        maxAlertsPerHour: CONFIG.SUBSCRIBER_MAX_ALERTS_PER_HOUR,
+        mutedTokens: [],
+    };
+}
+
+/**
+ * Register (or re-activate) a chat
+ */
+export function subscribe(chatId, { userId, username } = {}) {
+    chatId = String(chatId);
+
+    const existing = subscribers.get(chatId);
+    if (existing) {
+        existing.active = true;
+        markDirty("subscriptions");
+        return existing;
+    }
+
+    const sub = {
+        chatId,
+        userId: userId ? String(userId) : null,
+        username: username || null,
+        active: true,
+        createdAt: Date.now(),
+        filters: defaultFilters(),
+        usage: {
+            delivered: 0,
+            rateLimited: 0,
+            lastAlertAt: null,
+            windowStart: Date.now(),
+            windowCount: 0,
+        },
+    };
+
+    subscribers.set(chatId, sub);
+    markDirty("subscriptions");
+    return sub;
+}
+
+export function unsubscribe(chatId) {
+    const sub = subscribers.get(String(chatId));
+    if (!sub) return false;
+
+    sub.active = false;
+    markDirty("subscriptions");
+    return true;
+}
+
+export function getSubscriber(chatId) {
+    return subscribers.get(String(chatId)) || null;
+}
+
+/**
+ * Update one filter (key from FILTER_KEYS)
+ */
+export function setSubscriberFilter(chatId, key, rawValue) {
+    const sub = getSubscriber(chatId);
+    if (!sub) throw new Error("Not subscribed — send /subscribe first");
+
+    const parse = FILTER_KEYS[key];
+    if (!parse) throw new Error(`Unknown filter: ${key}`);
+
+    const value = parse(rawValue ?? "");
+    if (typeof value === "number" && (!Number.isFinite(value) || value < 0)) {
+        throw new Error(`Invalid value for ${key}: ${rawValue}`);
+    }
+
+    if (key === "ratelimit" && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`Invalid value for ${key}: ${rawValue} (1-${CONFIG.SUBSCRIBER_MAX_ALERTS_PER_HOUR})`);
+    }
+
+    // Users can lower their cap, never lift it above the operator's
+    sub.filters[FILTER_FIELDS[key]] = key === "ratelimit"
+        ? Math.min(value, CONFIG.SUBSCRIBER_MAX_ALERTS_PER_HOUR)
+        : value;
+    markDirty("subscriptions");
+    return sub.filters;
+}
+
+export function setSubscriberMute(chatId, token, muted) {
+    const sub = getSubscriber(chatId);
+    if (!sub) throw new Error("Not subscribed — send /subscribe first");
+
+    token = token.startsWith("0x") ? token.toLowerCase() : token;
+    const tokens = new Set(sub.filters.mutedTokens);
+    muted ? tokens.add(token) : tokens.delete(token);
+
+    sub.filters.mutedTokens = [...tokens];
+    markDirty("subscriptions");
+    return sub.filters.mutedTokens;
+}
+
+/**
+ * Does an AlertEvent pass a subscriber's filters?
+ */
+export function matchesSubscriber(sub, alert) {
+    const f = sub.filters;
+    const { liquidity, marketCap } = alert.market;
+
+    if (!f.chains.includes(alert.chain)) return false;
+    if (f.mutedTokens.includes(alert.token.address)) return false;
+    if (alert.type === "whale_buy" && alert.buyers.latestBuyUsd < f.minBuyUsd) return false;
+    if (marketCap < f.minMarketCap) return false;
+    if (f.maxMarketCap && marketCap > f.maxMarketCap) return false;
+    if (liquidity < f.minLiquidity) return false;
+    if (f.maxLiquidity && liquidity > f.maxLiquidity) return false;
+    if ((alert.score || 0) < f.minScore) return false;
+    return true;
+}
+
+/**
+ * Take one slot from the subscriber's hourly budget
+ */
+function consumeRateLimit(sub) {
+    const usage = sub.usage;
+
+    if (Date.now() - usage.windowStart > HOUR_MS) {
+        usage.windowStart = Date.now();
+        usage.windowCount = 0;
+    }
+
+    const limit = Math.min(
+        sub.filters.maxAlertsPerHour || CONFIG.SUBSCRIBER_MAX_ALERTS_PER_HOUR,
+        CONFIG.SUBSCRIBER_MAX_ALERTS_PER_HOUR
+    );
+
+    if (usage.windowCount >= limit) {
+        usage.rateLimited++;
+        return false;
+    }
+
+    usage.windowCount++;
+    return true;
+}
+
+/**
+ * Chats that should receive an alert
+ */
+export function routeAlert(alert) {
+    const chatIds = [];
+
+    for (const sub of subscribers.values()) {
+        if (!sub.active || !matchesSubscriber(sub, alert)) continue;
+        if (!consumeRateLimit(sub)) continue;
+        chatIds.push(sub.chatId);
+    }
+
+    if (chatIds.length) markDirty("subscriptions");
+    return chatIds;
+}
+
+function recordDelivery(chatId) {
+    const sub = subscribers.get(chatId);
+    if (!sub) return;
+
+    sub.usage.delivered++;
+    sub.usage.lastAlertAt = Date.now();
+    markDirty("subscriptions");
+}
+
+/**
+ * Totals for status output
+ */
+export function getSubscriptionStats() {
+    const all = [...subscribers.values()];
+
+    return {
+        total: all.length,
+        active: all.filter((s) => s.active).length,
+        delivered: all.reduce((sum, s) => sum + s.usage.delivered, 0),
+        rateLimited: all.reduce((sum, s) => sum + s.usage.rateLimited, 0),
+    };
+}
+
+/**
+ * Telegram will never deliver to this chat (bot blocked, chat gone)
+ */
+function isUndeliverable(err) {
+    const status = err.response?.status;
+    const description = String(err.response?.data?.description || "");
+    return status === 403 || (status === 400 && /chat not found/i.test(description));
+}
+
+/**
+ * Notifier channel: one Telegram message per matching subscriber
+ */
+export function createSubscriberNotifier() {
+    return {
+        name: "subscribers",
+        intervalMs: 1000,
+
+        // System messages stay on the main channel
+        route: (msg) => (typeof msg === "string" ? [] : routeAlert(msg)),
+
+        async send(msg, chatId) {
+            const sub = subscribers.get(chatId);
+            if (!sub?.active) {
+                throw Object.assign(new Error(`Subscription ${chatId} inactive`), { permanent: true });
+            }
+
+            try {
+                await sendTelegramMessage(chatId, renderTelegramHtml(msg));
+            } catch (err) {
+                // Don't retry (and hold up every other subscriber) for a dead chat
+                if (isUndeliverable(err)) {
+                    unsubscribe(chatId);
+                    console.log(`🔕 Deactivated subscription ${chatId}:`, err.response.data?.description || err.message);
+                    err.permanent = true;
+                }
+                throw err;
+            }
+            recordDelivery(chatId);
+        },
+    };
+}
@@ -1,19 +1,28 @@
 import axios from "axios";
 import { CONFIG } from "../config.js";
+import { renderTelegramHtml } from "../utils/alertRenderers.js";
+
+/**
+ * Post a message to a Telegram chat (throws on failure)
+ */
+export async function sendTelegramMessage(chatId, message, token = CONFIG.TG_TOKEN) {
+    await axios.post(
+        `https://api.telegram.org/bot${token}/sendMessage`,
+        {
+            chat_id: chatId,
+            text: message,
+            parse_mode: "HTML",
+        },
+        { timeout: 10000 }
+    );
+}
 
 /**
  * ✅ Send Telegram Alert
  */
 export async function sendAlert(message) {
     try {
-        await axios.post(
-            `https://api.telegram.org/bot${CONFIG.TG_TOKEN}/sendMessage`,
-            {
-                chat_id: CONFIG.TG_CHAT_ID,
-                text: message,
-                parse_mode: "HTML",
-            }
-        );
+        await sendTelegramMessage(CONFIG.TG_CHAT_ID, message);
 
         console.log("✅ Telegram sent");
     } catch (err) {
@@ -21,3 +30,20 @@ export async function sendAlert(message) {
     }
 }
 
+/**
+ * Telegram channel for the notifier registry
+ */
+export function createTelegramNotifier({ token, chatId }) {
+    return {
+        name: "telegram",
+        intervalMs: 3000,
+
+        async send(msg) {
+            await sendTelegramMessage(
+                chatId,
+                typeof msg === "string" ? msg : renderTelegramHtml(msg),
+                token
+            );
+        },
+    };
+}
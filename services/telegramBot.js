@@ -0,0 +1,368 @@
+import axios from "axios";
+import { CONFIG } from "../config.js";
+import { sendTelegramMessage } from "./telegram.js";
+import { getBaseStatus, getBaseThresholds } from "../base/baseWatcher.js";
+import { getFactoryStatus } from "../base/factoryWatcher.js";
+import { getSolanaStatus, getSolanaThresholds } from "../solana/solanaMomentumWatcher.js";
+import { getTrendingTokens } from "../solana/trendingLeaderboard.js";
+import { getTopInsiders } from "../sniper/insiderTracker.js";
+import { checkRugRisk } from "../utils/rugcheckIntegration.js";
+import { checkBaseSecurity } from "../utils/baseSecurityChecker.js";
+import { detectBundle } from "../solana/bundleDetector.js";
+import { getRpcStatus } from "../utils/rpcManager.js";
+import {
+    muteToken,
+    unmuteToken,
+    pauseChain,
+    resumeChain,
+    getControlState,
+} from "../utils/engineControl.js";
+import {
+    subscribe,
+    unsubscribe,
+    getSubscriber,
+    setSubscriberFilter,
+    setSubscriberMute,
+    FILTER_KEYS,
+} from "./subscriptions.js";
+
+/**
+ * ========================================
+ * 🤖 TELEGRAM COMMAND BOT
+ * ========================================
+ * Long-polls getUpdates and answers commands.
+ * Subscription commands are open to everyone; engine commands
+ * are limited to user ids in TG_ADMIN_IDS.
+ */
+
+const POLL_TIMEOUT_S = 30;
+const CHAINS = ["base", "solana"];
+
+let offset = 0;
+let running = false;
+
+const escape = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function formatUptime() {
+    const uptime = process.uptime();
+    return `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m`;
+}
+
+// ========================================
+// 📋 COMMANDS
+// ========================================
+
+const COMMANDS = {
+    help: {
+        usage: "/help",
+        public: true,
+        run: (args, message) =>
+            "🤖 <b>ChainPulse Commands</b>\n\n" +
+            Object.values(COMMANDS)
+                .filter((c) => c.public || isAdmin(message))
+                .map((c) => escape(c.usage))
+                .join("\n"),
+    },
+
+    subscribe: {
+        usage: "/subscribe",
+        public: true,
+        run: (args, message) => {
+            subscribe(message.chat.id, {
+                userId: message.from?.id,
+                username: message.from?.username,
+            });
+            return "✅ Subscribed! Tune alerts with /set — see /filters";
+        },
+    },
+
+    unsubscribe: {
+        usage: "/unsubscribe",
+        public: true,
+        run: (args, message) =>
+            unsubscribe(message.chat.id) ? "👋 Unsubscribed" : "You are not subscribed",
+    },
+
+    filters: {
+        usage: "/filters",
+        public: true,
+        run: (args, message) => {
+            const sub = getSubscriber(message.chat.id);
+            if (!sub) return "Not subscribed — send /subscribe first";
+
+            const f = sub.filters;
+            return (
+                "🎚️ <b>Your Filters</b>\n\n" +
+                `chains: ${f.chains.join(", ")}\n` +
+                `minbuy: $${f.minBuyUsd}\n` +
+                `minmcap: $${f.minMarketCap} | maxmcap: ${f.maxMarketCap ? `$${f.maxMarketCap}` : "∞"}\n` +
+                `minliq: $${f.minLiquidity} | maxliq: ${f.maxLiquidity ? `$${f.maxLiquidity}` : "∞"}\n` +
+                `minscore: ${f.minScore}\n` +
+                `ratelimit: ${f.maxAlertsPerHour || CONFIG.SUBSCRIBER_MAX_ALERTS_PER_HOUR}/hour\n` +
+                `ignored: ${f.mutedTokens.length}\n\n` +
+                `📬 Delivered: ${sub.usage.delivered} | ⏳ Rate limited: ${sub.usage.rateLimited}`
+            );
+        },
+    },
+
+    set: {
+        usage: `/set <${Object.keys(FILTER_KEYS).join("|")}> <value>`,
+        public: true,
+        run: ([key, value], message) => {
+            if (!key || value === undefined) {
+                return `Usage: /set &lt;${Object.keys(FILTER_KEYS).join("|")}&gt; &lt;value&gt;`;
+            }
+            setSubscriberFilter(message.chat.id, key.toLowerCase(), value);
+            return `✅ ${escape(key)} = ${escape(value)}`;
+        },
+    },
+
+    ignore: {
+        usage: "/ignore <token>",
+        public: true,
+        run: ([token], message) => {
+            if (!token) return "Usage: /ignore &lt;token&gt;";
+            setSubscriberMute(message.chat.id, token, true);
+            return `🔇 Ignoring <code>${escape(token)}</code>`;
+        },
+    },
+
+    unignore: {
+        usage: "/unignore <token>",
+        public: true,
+        run: ([token], message) => {
+            if (!token) return "Usage: /unignore &lt;token&gt;";
+            setSubscriberMute(message.chat.id, token, false);
+            return `🔊 No longer ignoring <code>${escape(token)}</code>`;
+        },
+    },
+
+    status: {
+        usage: "/status",
+        run: () => {
+            const base = getBaseStatus();
+            const factories = getFactoryStatus();
+            const solana = getSolanaStatus();
+            const control = getControlState();
+            const rpc = getRpcStatus();
+            const rpcLine = (group) =>
+                `${group.active || "none"} (${group.endpoints.filter((e) => e.healthy).length}/${group.endpoints.length} healthy)`;
+
+            return (
+                "📊 <b>ChainPulse Status</b>\n\n" +
+                `⏱️ Uptime: ${formatUptime()}\n\n` +
+                `🟦 Base${control.pausedChains.includes("base") ? " (⏸ paused)" : ""}\n` +
+                `   Swaps: ${base.swapsDetected} | Alerts: ${base.alertsTriggered} | Exits: ${base.exitAlerts}\n` +
+                `   Tracked: ${base.trackedTokens} | ETH: $${base.ethPrice}\n` +
+                `   New pools: ${factories.poolsSeen} | Launches: ${factories.launches}\n\n` +
+                `🟣 Solana${control.pausedChains.includes("solana") ? " (⏸ paused)" : ""}\n` +
+                `   Scanned: ${solana.txScanned} | Alerts: ${solana.alertsTriggered} | Exits: ${solana.exitAlerts}\n` +
+                `   Tracked: ${solana.trackedTokens} | SOL: $${solana.solPrice}\n\n` +
+                `🛰️ RPC Base: ${rpcLine(rpc.base)}\n` +
+                `🛰️ RPC Solana: ${rpcLine(rpc.solana)}\n\n` +
+                `🔇 Muted tokens: ${control.mutedTokens.length}`
+            );
+        },
+    },
+
+    top: {
+        usage: "/top [n]",
+        run: ([n]) => {
+            const trending = getTrendingTokens(Math.min(parseInt(n) || 5, 20));
+            if (!trending.length) return "📊 No trending tokens yet";
+
+            return "🔥 <b>TRENDING MEMES</b>\n\n" + trending
+                .map((t, i) =>
+                    `${i + 1}. <code>${t.mint}</code>\n` +
+                    `   🐋 ${t.whales} | 💧 $${t.liquidity.toFixed(0)} | 📈 $${t.marketCap.toFixed(0)}`
+                )
+                .join("\n");
+        },
+    },
+
+    insiders: {
+        usage: "/insiders [n]",
+        run: ([n]) => {
+            const insiders = getTopInsiders(Math.min(parseInt(n) || 5, 20));
+            if (!insiders.length) return "🎯 No insider wallets yet";
+
+            return "🎯 <b>TOP INSIDER WALLETS</b>\n\n" + insiders
+                .map((w, i) => `${i + 1}. <code>${w.wallet}</code> → ${w.score} early hits`)
+                .join("\n");
+        },
+    },
+
+    check: {
+        usage: "/check <address>",
+        run: async ([address]) => {
+            if (!address) return "Usage: /check &lt;address&gt;";
+
+            if (address.startsWith("0x")) {
+                const sec = await checkBaseSecurity(address.toLowerCase());
+                return (
+                    `🍯 <b>Base Security</b>\n<code>${escape(address)}</code>\n\n` +
+                    `Grade: ${escape(sec.grade)} (${sec.safetyScore}/100)\n` +
+                    `Tax: Buy ${sec.buyTax}% / Sell ${sec.sellTax}%\n` +
+                    escape(sec.summary)
+                );
+            }
+
+            const [rug, bundle] = await Promise.all([checkRugRisk(address), detectBundle(address)]);
+            const bundleLine = !bundle
+                ? "Bundle: unknown"
+                : bundle.isBundled
+                    ? `Bundle: ❌ ${bundle.bundledPercent}% (${bundle.wallets} wallets, ${bundle.funders} funders)`
+                    : `Bundle: ✅ none (${bundle.bundledPercent}% bought at launch)`;
+
+            return (
+                `⚠️ <b>RugCheck</b>\n<code>${escape(address)}</code>\n\n` +
+                `Grade: ${escape(rug.grade)} (${rug.safetyScore}/100)\n` +
+                `Freeze: ${rug.hasFreeze ? "❌" : "✅"} | Mint: ${rug.hasMint ? "❌" : "✅"} | LP burned: ${rug.isLPBurned ? "✅" : "❌"}\n` +
+                `${bundleLine}\n` +
+                escape(rug.summary)
+            );
+        },
+    },
+
+    mute: {
+        usage: "/mute <token>",
+        run: ([token]) => {
+            if (!token) return "Usage: /mute &lt;token&gt;";
+            muteToken(token);
+            return `🔇 Muted <code>${escape(token)}</code>`;
+        },
+    },
+
+    unmute: {
+        usage: "/unmute <token>",
+        run: ([token]) => {
+            if (!token) return "Usage: /unmute &lt;token&gt;";
+            return unmuteToken(token)
+                ? `🔊 Unmuted <code>${escape(token)}</code>`
+                : "Token was not muted";
+        },
+    },
+
+    pause: {
+        usage: "/pause <base|solana>",
+        run: ([chain]) => {
+            if (!CHAINS.includes(chain)) return "Usage: /pause &lt;base|solana&gt;";
+            pauseChain(chain);
+            return `⏸ ${chain} detector paused`;
+        },
+    },
+
+    resume: {
+        usage: "/resume <base|solana>",
+        run: ([chain]) => {
+            if (!CHAINS.includes(chain)) return "Usage: /resume &lt;base|solana&gt;";
+            return resumeChain(chain) ? `▶️ ${chain} detector resumed` : `${chain} was not paused`;
+        },
+    },
+
+    thresholds: {
+        usage: "/thresholds",
+        run: () => {
+            const format = (t) =>
+                Object.entries(t).map(([k, v]) => `   ${k}: ${v}`).join("\n");
+
+            return (
+                "🎚️ <b>Thresholds</b>\n\n" +
+                `🟦 Base\n${format(getBaseThresholds())}\n\n` +
+                `🟣 Solana\n${format(getSolanaThresholds())}`
+            );
+        },
+    },
+};
+
+// ========================================
+// 📡 POLLING
+// ========================================
+
+function isAdmin(message) {
+    return CONFIG.TG_ADMIN_IDS.includes(String(message.from?.id));
+}
+
+async function handleMessage(message) {
+    const text = message.text?.trim();
+    if (!text?.startsWith("/")) return;
+
+    // "/cmd@BotName arg1 arg2"
+    const [head, ...args] = text.split(/\s+/);
+    const name = head.slice(1).split("@")[0].toLowerCase();
+    const command = COMMANDS[name];
+    if (!command) return;
+
+    const chatId = message.chat.id;
+
+    if (!command.public && !isAdmin(message)) {
+        await sendTelegramMessage(chatId, "⛔ Not authorized");
+        return;
+    }
+
+    console.log(`🤖 /${name} from ${message.from?.id}`);
+
+    let reply;
+    try {
+        reply = await command.run(args, message);
+    } catch (err) {
+        console.log(`⚠️ Command /${name} failed:`, err.message);
+        reply = `❌ /${name} failed: ${escape(err.message)}`;
+    }
+
+    await sendTelegramMessage(chatId, reply);
+}
+
+async function poll() {
+    while (running) {
+        try {
+            const res = await axios.get(
+                `https://api.telegram.org/bot${CONFIG.TG_TOKEN}/getUpdates`,
+                {
+                    params: {
+                        offset,
+                        timeout: POLL_TIMEOUT_S,
+                        allowed_updates: JSON.stringify(["message"]),
+                    },
+                    timeout: (POLL_TIMEOUT_S + 10) * 1000,
+                }
+            );
+
+            for (const update of res.data.result || []) {
+                offset = update.update_id + 1;
+
+                if (update.message) {
+                    await handleMessage(update.message).catch((err) =>
+                        console.log("⚠️ Bot reply failed:", err.message)
+                    );
+                }
+            }
+        } catch (err) {
+            console.log("⚠️ Telegram polling error:", err.message);
+            await new Promise((r) => setTimeout(r, 5000));
+        }
+    }
+}
+
+/**
+ * Start long-polling for commands
+ */
+export function startTelegramBot() {
+    if (running) return;
+
+    if (!CONFIG.TG_TOKEN) {
+        throw new Error("TG_BOT_TOKEN is not set");
+    }
+
+    if (CONFIG.TG_ADMIN_IDS.length === 0) {
+        console.log("⚠️  TG_ADMIN_IDS is empty — engine commands will be refused");
+    }
+
+    running = true;
+    poll();
+    console.log("🤖 Telegram command bot LIVE");
+}
+
+export function stopTelegramBot() {
+    running = false;
+}
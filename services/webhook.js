@@ -0,0 +1,44 @@
+import crypto from "crypto";
+import axios from "axios";
+
+/**
+ * ========================================
+ * 🪝 GENERIC WEBHOOK NOTIFIER
+ * ========================================
+ * POSTs JSON to any endpoint. When a secret is set the body is signed:
+ *
+ *   X-ChainPulse-Timestamp: <unix ms>
+ *   X-ChainPulse-Signature: sha256=<hex HMAC of "<timestamp>.<body>">
+ */
+
+export function signPayload(secret, timestamp, body) {
+    return crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+}
+
+export function createWebhookNotifier({ url, secret }) {
+    return {
+        name: "webhook",
+        intervalMs: 250,
+
+        async send(msg) {
+            const body = JSON.stringify(
+                typeof msg === "string"
+                    ? { type: "message", text: msg }
+                    : { type: "alert", alert: msg }
+            );
+
+            const headers = { "Content-Type": "application/json" };
+
+            if (secret) {
+                const timestamp = Date.now().toString();
+                headers["X-ChainPulse-Timestamp"] = timestamp;
+                headers["X-ChainPulse-Signature"] = `sha256=${signPayload(secret, timestamp, body)}`;
+            }
+
+            await axios.post(url, body, { headers, timeout: 10000 });
+        },
+    };
+}
@@ -4,8 +4,23 @@
  * Detect wallets that repeatedly enter trending memes early.
  */
 
+import { registerCollection, markDirty } from "../services/store.js";
+
 const insiderWallets = new Map();
 
+registerCollection("insiderWallets", {
+    dump: () =>
+        [...insiderWallets.entries()].map(([wallet, data]) => [
+            wallet,
+            { ...data, tokens: [...data.tokens] },
+        ]),
+    restore: (entries) => {
+        for (const [wallet, data] of entries) {
+            insiderWallets.set(wallet, { ...data, tokens: new Set(data.tokens) });
+        }
+    },
+});
+
 /**
  * Track insider activity
  */
@@ -32,6 +47,8 @@ export async function trackInsider(wallet, mint) {
     if (Date.now() - data.firstSeen > 24 * 60 * 60 * 1000) {
         insiderWallets.delete(wallet);
     }
+
+    markDirty("insiderWallets");
 }
 
 /**
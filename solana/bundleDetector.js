@@ -0,0 +1,190 @@
+import { PublicKey } from "@solana/web3.js";
+import { CONFIG } from "../config.js";
+import { getSolanaConnection } from "../utils/rpcManager.js";
+import { getPumpToken } from "./migrationTracker.js";
+import { getParsedTransactions, runRpc } from "../utils/rpcPool.js";
+
+/**
+ * ========================================
+ * 📦 BUNDLED LAUNCH DETECTOR
+ * ========================================
+ * Finds buys landing in (or right after) a mint's creation slot,
+ * groups the buyers by who funded them and measures how much
+ * supply the bundle took
+ */
+
+const connection = getSolanaConnection();
+const bundleCache = new Map();
+
+const SIGNATURE_PAGE = 1000;
+const MAX_SIGNATURE_PAGES = 5; // busy mints: give up rather than walk forever
+const MAX_EARLY_TXS = 50;
+const MAX_FUNDING_LOOKUPS = 30;
+const FUNDER_HISTORY = 50; // longer histories aren't fresh bundle wallets
+
+/**
+ * Early signatures (creation slot + window), oldest first
+ */
+async function getEarlySignatures(mintPubkey, creationSlot, slotWindow) {
+    let before;
+    const collected = [];
+
+    for (let page = 0; page < MAX_SIGNATURE_PAGES; page++) {
+        const sigs = await connection.getSignaturesForAddress(mintPubkey, {
+            limit: SIGNATURE_PAGE,
+            before,
+        });
+        if (sigs.length === 0) break;
+
+        collected.push(...sigs);
+        before = sigs[sigs.length - 1].signature;
+
+        const oldestSlot = sigs[sigs.length - 1].slot;
+        if (sigs.length < SIGNATURE_PAGE || oldestSlot < creationSlot) {
+            return {
+                creationSlot,
+                signatures: collected
+                    .filter((s) => !s.err && s.slot >= creationSlot && s.slot <= creationSlot + slotWindow)
+                    .reverse(),
+            };
+        }
+    }
+
+    return null; // history too long to reach the creation slot
+}
+
+/**
+ * Tokens (raw) each fee payer received in one transaction
+ */
+function getBuy(tx, mint) {
+    const buyer = tx.transaction.message.accountKeys[0].pubkey.toString();
+    const balance = (list) =>
+        (list || [])
+            .filter((b) => b.mint === mint && b.owner === buyer)
+            .reduce((sum, b) => sum + Number(b.uiTokenAmount.amount), 0);
+
+    const amount = balance(tx.meta.postTokenBalances) - balance(tx.meta.preTokenBalances);
+    return amount > 0 ? { buyer, amount } : null;
+}
+
+/**
+ * Who sent this wallet its first SOL (null = unknown / self-funded /
+ * established wallet)
+ */
+async function getFunder(wallet) {
+    const sigs = await connection.getSignaturesForAddress(new PublicKey(wallet), { limit: FUNDER_HISTORY });
+    if (sigs.length === 0 || sigs.length >= FUNDER_HISTORY) return null;
+    const first = sigs[sigs.length - 1];
+
+    const tx = await connection.getParsedTransaction(first.signature, {
+        maxSupportedTransactionVersion: 0,
+    });
+
+    for (const ix of tx?.transaction.message.instructions || []) {
+        const info = ix.parsed?.info;
+        if (ix.program === "system" && ix.parsed?.type === "transfer" && info.destination === wallet) {
+            return info.source;
+        }
+    }
+    return null;
+}
+
+/**
+ * Detect a bundled launch for a Pump.fun mint we saw created
+ * @returns {Promise<object|null>} null for unregistered mints or when
+ * the creation slot can't be reached
+ */
+export async function detectBundle(mint) {
+    if (bundleCache.has(mint)) return bundleCache.get(mint);
+
+    // Only launches with a known creation slot — anything else means
+    // walking the mint's whole history
+    const registered = getPumpToken(mint);
+    if (!registered?.slot) return null;
+
+    try {
+        const mintPubkey = new PublicKey(mint);
+        const slotWindow = CONFIG.solana.bundleSlotWindow;
+
+        const early = await getEarlySignatures(mintPubkey, registered.slot, slotWindow);
+        if (!early) return null;
+
+        // 1. Early buys, merged per wallet (the creator's dev buy is reported apart)
+        const buys = new Map(); // wallet -> { amount, slot }
+        let devAmount = 0;
+        const earlySigs = early.signatures.slice(0, MAX_EARLY_TXS);
+        const txs = await getParsedTransactions(connection, earlySigs.map((sig) => sig.signature));
+
+        for (const [i, sig] of earlySigs.entries()) {
+            const tx = txs[i];
+            if (!tx?.meta || tx.meta.err) continue;
+
+            const buy = getBuy(tx, mint);
+            if (!buy) continue;
+            if (buy.buyer === registered.creator) {
+                devAmount += buy.amount;
+                continue;
+            }
+
+            const prev = buys.get(buy.buyer);
+            buys.set(buy.buyer, {
+                amount: (prev?.amount || 0) + buy.amount,
+                slot: prev?.slot ?? sig.slot,
+            });
+        }
+
+        const supply = Number((await connection.getTokenSupply(mintPubkey)).value.amount);
+        const pct = (amount) => (supply > 0 ? parseFloat(((amount / supply) * 100).toFixed(2)) : 0);
+
+        // 2. Group buyers by funding wallet
+        const clusters = new Map(); // funder -> { wallets, amount }
+        const wallets = [...buys.keys()];
+        // Rate limits back off inside the pool; a wallet that still fails counts as unfunded
+        const funders = await Promise.all(
+            wallets.slice(0, MAX_FUNDING_LOOKUPS).map((wallet) => runRpc(() => getFunder(wallet)).catch(() => null))
+        );
+
+        for (const [i, [wallet, buy]] of [...buys].entries()) {
+            const funder = funders[i] || wallet;
+
+            if (!clusters.has(funder)) clusters.set(funder, { wallets: [], amount: 0 });
+            const cluster = clusters.get(funder);
+            cluster.wallets.push(wallet);
+            cluster.amount += buy.amount;
+        }
+
+        const sum = (list) => list.reduce((total, b) => total + b.amount, 0);
+        const sameSlot = [...buys.values()].filter((b) => b.slot === early.creationSlot);
+        const sharedFunder = [...clusters.values()].some((c) => c.wallets.length >= 2);
+
+        const result = {
+            creationSlot: early.creationSlot,
+            slotWindow,
+            creator: registered.creator || null,
+            devBuyPercent: pct(devAmount),
+            wallets: buys.size,
+            funders: clusters.size,
+            bundledPercent: pct(sum([...buys.values()])),
+            sameSlotPercent: pct(sum(sameSlot)),
+            // Several wallets in the creation slot, or wallets sharing a funder
+            isBundled: sameSlot.length >= 2 || sharedFunder,
+            clusters: [...clusters.entries()]
+                .map(([funder, c]) => ({ funder, wallets: c.wallets, percent: pct(c.amount) }))
+                .sort((a, b) => b.percent - a.percent),
+        };
+
+        bundleCache.set(mint, result);
+        return result;
+    } catch (err) {
+        console.log("⚠️  Bundle detection failed:", err.message);
+        return null;
+    }
+}
+
+// Clear cache periodically
+setInterval(() => {
+    if (bundleCache.size > 500) {
+        bundleCache.clear();
+        console.log("🧹 Cleared bundle cache");
+    }
+}, 600000);
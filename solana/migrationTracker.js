@@ -1,16 +1,59 @@
+import { registerCollection, markDirty } from "../services/store.js";
+
 const pumpTokens = new Map();
 
+// Only recent launches survive a restart — the full 48h registry is
+// tens of thousands of creates, too big to rewrite on every flush
+const PERSIST_MS = 6 * 60 * 60 * 1000;
+const MAX_PERSISTED = 2000;
+const CREATE_FLUSH_MS = 60000; // creates alone flush at most this often
+let lastCreateFlush = 0;
+
 /**
- * Store Pump.fun mint + creator
+ * Newest launches (and graduations) from the last PERSIST_MS
  */
-export function registerPumpToken(mint, creator) {
+function dumpRecent() {
+    const cutoff = Date.now() - PERSIST_MS;
+    return [...pumpTokens.entries()]
+        .filter(([, data]) => (data.migratedAt || data.time || 0) >= cutoff)
+        .sort(([, a], [, b]) => (b.migratedAt || b.time) - (a.migratedAt || a.time))
+        .slice(0, MAX_PERSISTED);
+}
+
+registerCollection("pumpTokens", {
+    dump: dumpRecent,
+    restore: (entries) => {
+        for (const [mint, data] of entries) pumpTokens.set(mint, data);
+    },
+});
+
+/**
+ * Store Pump.fun mint + creator (+ creation slot / signature when known)
+ */
+export function registerPumpToken(mint, creator, { slot = null, signature = null, time = Date.now(), name, symbol } = {}) {
     if (!mint) return;
 
     pumpTokens.set(mint, {
         creator,
-        time: Date.now(),
+        slot,
+        signature,
+        name,
+        symbol,
+        time,
         migrated: false,
     });
+
+    if (Date.now() - lastCreateFlush >= CREATE_FLUSH_MS) {
+        lastCreateFlush = Date.now();
+        markDirty("pumpTokens");
+    }
+}
+
+/**
+ * Registry entry for a mint (null if unseen)
+ */
+export function getPumpToken(mint) {
+    return pumpTokens.get(mint) || null;
 }
 
 /**
@@ -21,16 +64,26 @@ export function isPumpToken(mint) {
 }
 
 /**
- * Mark token as migrated
+ * Curve withdrawn by the migration authority (SOL raised)
  */
-export function markMigrated(mint, pool) {
+export function recordWithdraw(mint, solRaised) {
     if (!pumpTokens.has(mint)) return;
 
-    const data = pumpTokens.get(mint);
+    pumpTokens.get(mint).solRaised = solRaised;
+    markDirty("pumpTokens");
+}
+
+/**
+ * Mark token as migrated (created before we started watching = no create data)
+ */
+export function markMigrated(mint, pool) {
+    const data = pumpTokens.get(mint) || { creator: null, slot: null, time: null, migrated: false };
     data.migrated = true;
+    data.migratedAt = Date.now();
     data.pool = pool;
 
     pumpTokens.set(mint, data);
+    markDirty("pumpTokens");
 }
 
 /**
@@ -40,3 +93,17 @@ export function hasMigrated(mint) {
     return pumpTokens.get(mint)?.migrated === true;
 }
 
+
+/**
+ * Drop migrated / stale launches (most Pump.fun tokens never graduate)
+ */
+export function cleanupPumpTokens(maxAgeMs = 48 * 60 * 60 * 1000) {
+    const now = Date.now();
+    let removed = 0;
+    for (const [mint, data] of pumpTokens.entries()) {
+        if (now - (data.migratedAt || data.time || 0) <= maxAgeMs) continue;
+        pumpTokens.delete(mint);
+        removed++;
+    }
+    if (removed) markDirty("pumpTokens");
+}
@@ -0,0 +1,151 @@
+import { PublicKey } from "@solana/web3.js";
+import bs58 from "bs58";
+
+/**
+ * ========================================
+ * 🎰 PUMP.FUN DECODER
+ * ========================================
+ * Decodes Pump.fun create / withdraw instructions, the Raydium V4
+ * pool init that completes a migration, and bonding-curve state
+ */
+
+export const PUMP_PROGRAM_ID = "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P";
+export const RAYDIUM_V4_PROGRAM_ID = "675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8";
+
+// Signs every withdraw + Raydium pool init when a curve completes
+export const MIGRATION_AUTHORITY = "39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg";
+
+const WSOL = "So11111111111111111111111111111111111111112";
+
+// Anchor discriminators (first 8 bytes of instruction data)
+const DISCRIMINATORS = {
+    create: [24, 30, 200, 40, 5, 28, 7, 119],
+    withdraw: [183, 18, 70, 156, 148, 109, 161, 34],
+};
+
+// Raydium V4 instruction tag
+const RAYDIUM_INITIALIZE2 = 1;
+
+// Tokens sold along the curve before it completes (6 decimals)
+export const INITIAL_REAL_TOKEN_RESERVES = 793_100_000_000_000n;
+
+const hasPrefix = (data, prefix) => prefix.every((byte, i) => data[i] === byte);
+
+/**
+ * Outer + inner instructions of a parsed transaction
+ * (inner ones catch CPIs from routers / migration programs)
+ */
+export function getAllInstructions(tx) {
+    const inner = (tx.meta?.innerInstructions || []).flatMap((group) => group.instructions);
+    return [...tx.transaction.message.instructions, ...inner];
+}
+
+function readString(data, offset) {
+    const length = data.readUInt32LE(offset);
+    const start = offset + 4;
+    return [data.subarray(start, start + length).toString("utf8"), start + length];
+}
+
+/**
+ * Pump.fun create: accounts [mint, mintAuthority, bondingCurve, ..., user @7],
+ * args (name, symbol, uri)
+ */
+function decodeCreate(ix, data) {
+    try {
+        let offset = 8;
+        let name, symbol, uri;
+        [name, offset] = readString(data, offset);
+        [symbol, offset] = readString(data, offset);
+        [uri] = readString(data, offset);
+
+        return {
+            mint: ix.accounts[0].toBase58(),
+            bondingCurve: ix.accounts[2].toBase58(),
+            creator: ix.accounts[7].toBase58(),
+            name,
+            symbol,
+            uri,
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Decode the Pump.fun / migration instructions in a parsed transaction
+ */
+export function decodePumpTx(tx) {
+    const result = { creates: [], withdraws: [], poolInits: [] };
+    const feePayer = tx.transaction.message.accountKeys[0].pubkey.toBase58();
+
+    for (const ix of getAllInstructions(tx)) {
+        if (!ix.data || !ix.accounts) continue; // already parsed (system / token)
+
+        const programId = ix.programId.toBase58();
+        const data = Buffer.from(bs58.decode(ix.data));
+
+        if (programId === PUMP_PROGRAM_ID) {
+            if (hasPrefix(data, DISCRIMINATORS.create)) {
+                const create = decodeCreate(ix, data);
+                if (create) result.creates.push(create);
+            } else if (hasPrefix(data, DISCRIMINATORS.withdraw)) {
+                // [global, lastWithdraw, mint, bondingCurve, ...]
+                result.withdraws.push({
+                    mint: ix.accounts[2].toBase58(),
+                    bondingCurve: ix.accounts[3].toBase58(),
+                });
+            }
+        } else if (programId === RAYDIUM_V4_PROGRAM_ID && data[0] === RAYDIUM_INITIALIZE2) {
+            // [..., amm @4, ..., lpMint @7, coinMint @8, pcMint @9, ...]
+            const coinMint = ix.accounts[8].toBase58();
+            const pcMint = ix.accounts[9].toBase58();
+
+            result.poolInits.push({
+                amm: ix.accounts[4].toBase58(),
+                lpMint: ix.accounts[7].toBase58(),
+                coinMint,
+                pcMint,
+                tokenMint: coinMint === WSOL ? pcMint : coinMint,
+                isMigration: feePayer === MIGRATION_AUTHORITY,
+            });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Bonding curve PDA for a mint
+ */
+export function getBondingCurveAddress(mint) {
+    return PublicKey.findProgramAddressSync(
+        [Buffer.from("bonding-curve"), new PublicKey(mint).toBuffer()],
+        new PublicKey(PUMP_PROGRAM_ID)
+    )[0];
+}
+
+/**
+ * Bonding curve account: reserves @8..40, complete flag @48
+ */
+export function decodeBondingCurve(data) {
+    const realTokenReserves = data.readBigUInt64LE(24);
+    const sold = INITIAL_REAL_TOKEN_RESERVES - realTokenReserves;
+
+    return {
+        virtualTokenReserves: data.readBigUInt64LE(8),
+        virtualSolReserves: data.readBigUInt64LE(16),
+        realTokenReserves,
+        realSolReserves: data.readBigUInt64LE(32),
+        complete: data[48] === 1,
+        fillPercent: Math.min(Number((sold * 10000n) / INITIAL_REAL_TOKEN_RESERVES) / 100, 100),
+    };
+}
+
+/**
+ * SOL that left an account in this transaction
+ */
+export function getLamportsOut(tx, address) {
+    const index = tx.transaction.message.accountKeys.findIndex((k) => k.pubkey.toBase58() === address);
+    if (index === -1) return 0;
+    return Math.max(tx.meta.preBalances[index] - tx.meta.postBalances[index], 0) / 1e9;
+}
@@ -1,37 +1,57 @@
-import { Connection, PublicKey } from "@solana/web3.js";
+import { PublicKey } from "@solana/web3.js";
 import axios from "axios";
 import { CONFIG } from "../config.js";
-import { queueAlert } from "../utils/alertQueue.js";
-
-
-const connection = new Connection(CONFIG.SOLANA_RPC, "confirmed");
+import { registerCollection, markDirty } from "../services/store.js";
+import { emitAlert } from "../utils/alertEvent.js";
+import { scoreToken, shouldAlert } from "../utils/alphaScorer.js";
+import { isMuted, isPaused } from "../utils/engineControl.js";
+import { verifyLPLock } from "../utils/lpLockVerifier.js";
+import { analyzeHolderDistribution } from "../utils/holderAnalyzer.js";
+import { analyzeCreatorHistory } from "../utils/creatorAnalyzer.js";
+import {
+    registerPumpToken,
+    isPumpToken,
+    getPumpToken,
+    recordWithdraw,
+    markMigrated,
+    hasMigrated,
+    cleanupPumpTokens,
+} from "./migrationTracker.js";
+import {
+    MIGRATION_AUTHORITY,
+    decodePumpTx,
+    decodeBondingCurve,
+    getBondingCurveAddress,
+    getLamportsOut,
+} from "./pumpfun.js";
+import { detectBundle } from "./bundleDetector.js";
+import { decodeSwaps, decodePumpLogEvents } from "./swapDecoder.js";
+import { getParsedTransactions } from "../utils/rpcPool.js";
+import { getSolanaConnection, getSolanaWsConnection, rotateSolanaWss } from "../utils/rpcManager.js";
+import { recordTrade, isTracked, getFlow, markAlerted, checkWhaleExit } from "../utils/flowTracker.js";
+
+
+const connection = getSolanaConnection();
 
 const PROGRAMS = {
     PUMPFUN: new PublicKey("6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P"),
     RAYDIUM_V4: new PublicKey("675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8"),
     RAYDIUM_CPMM: new PublicKey("CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C"),
+    // Low-volume and signs every graduation — scanning it never misses one
+    MIGRATION: new PublicKey(MIGRATION_AUTHORITY),
 };
 
-const MIN_BUY_USD = 200;
-const MIN_WHALES = 2;
-const BIG_SINGLE_BUY_USD = 2000;
-const WINDOW_MS = 5 * 60 * 1000;
-
-
-const MAX_AGE_MS = 3 * 60 * 1000;
-
-const MIN_MCAP = 10000;
-const MAX_MCAP = 10000000;
-const MIN_LIQ = 3000;
-const MAX_LIQ = 300000;
+// Thresholds live in CONFIG.solana (read per call so reloads apply)
 
 let solPrice = 140;
 let lastSolUpdate = 0;
 
 const alerted = new Set();
+const evaluating = new Set(); // mints with a candidate check in flight
 
 
 const seenTx = new Map(); // signature -> timestamp
+const fetchingTx = new Set(); // signatures being fetched by the live queue or a backfill
 const SEEN_TX_TTL = 10 * 60 * 1000; // forget txns after 10 min
 
 const whaleBuyers = new Map();
@@ -42,10 +62,70 @@ const lastSignature = {
     PUMPFUN: null,
     RAYDIUM_V4: null,
     RAYDIUM_CPMM: null,
+    MIGRATION: null,
 };
 
 let totalScanned = 0;
 let totalAlerts = 0;
+let totalExitAlerts = 0;
+
+// Realtime ingestion (CONFIG.SOLANA_INGEST = "websocket")
+const WS_STALE_MS = 60000; // Pump.fun is never quiet this long on a live socket
+const WS_RETRY_MS = 120000; // poll this long before trying the socket again
+const MAX_LIVE_QUEUE = 500;
+
+const realtime = {
+    live: false,
+    subscriptions: {}, // program key -> onLogs id
+    lastLogAt: 0,
+    fallbackSince: 0,
+    received: 0,
+    filtered: 0,
+    dropped: 0,
+    failed: 0, // fetches that came back empty or threw (left to the backfill)
+    reconnects: 0,
+};
+let liveConnection = null; // subscription connection (current SOLANA_WSS endpoint)
+const liveQueue = []; // { key, signature }
+const liveGaps = new Set(); // program keys with dropped / unfetched signatures — cursor frozen until backfilled
+let draining = false;
+
+// Raydium logs worth a fetch: V4 ray_log SwapBaseIn (3) / SwapBaseOut (4), CPMM swap instructions
+const RAY_LOG_SWAPS = new Set([3, 4]);
+const CPMM_SWAP_LOG = /Instruction: SwapBase(Input|Output)/;
+
+// Cursor catch-up (polling + gap backfill)
+const SIGNATURE_PAGE = 1000;
+const MAX_BACKFILL_PAGES = 20; // past this the cursor is abandoned
+
+const backfill = {
+    runs: 0,
+    pages: 0,
+    skipped: 0, // signatures past the cursor never processed (cap)
+    skippedByProgram: {},
+    failed: 0, // fetches that came back empty or threw — the cursor stops before them
+    cursorLost: 0, // runs that never paged back to the cursor
+};
+let scanning = false;
+
+// Persist alert + whale state across restarts
+registerCollection("solanaWatcher", {
+    dump: () => ({
+        alerted: [...alerted],
+        whaleBuyers: [...whaleBuyers.entries()].map(([mint, data]) => [
+            mint,
+            { ...data, buyers: [...data.buyers.entries()] },
+        ]),
+        lastSignature,
+    }),
+    restore: (data) => {
+        for (const mint of data.alerted || []) alerted.add(mint);
+        for (const [mint, entry] of data.whaleBuyers || []) {
+            whaleBuyers.set(mint, { ...entry, buyers: new Map(entry.buyers) });
+        }
+        Object.assign(lastSignature, data.lastSignature);
+    },
+});
 
 
 async function getSolPrice() {
@@ -92,6 +172,7 @@ async function getTokenInfo(mint) {
             marketCap: solanaPair.fdv || 0,
             priceUsd: solanaPair.priceUsd || 0,
             pairAddress: solanaPair.pairAddress,
+            dexId: solanaPair.dexId,
             ageHours,
             priceChange5m: solanaPair.priceChange?.m5 || 0,
             priceChange1h: solanaPair.priceChange?.h1 || 0,
@@ -132,50 +213,137 @@ async function quickRugCheck(mint) {
 }
 
 
-async function parseSwapTx(signature) {
-    // ✅ FIX 2 cont: check TTL, not just presence
-    if (seenTx.has(signature)) return null;
-    seenTx.set(signature, Date.now());
-
+/**
+ * Decoded whale-sized buys and sells in a transaction, valued in USD
+ * @returns {Promise<Array<{side, mint, trader, usd}>>}
+ */
+async function parseSwapTx(tx, signature) {
     try {
-        const tx = await connection.getParsedTransaction(signature, {
-            maxSupportedTransactionVersion: 0,
-            commitment: "confirmed",
-        });
-
-        if (!tx?.meta || tx.meta.err) return null;
+        if (!tx?.meta || tx.meta.err) return [];
 
-        // ✅ FIX 1 cont: use expanded MAX_AGE_MS
-        if (tx.blockTime && Date.now() - tx.blockTime * 1000 > MAX_AGE_MS) return null;
+        // ✅ FIX 1 cont: use expanded max tx age
+        const stale = Boolean(tx.blockTime) && Date.now() - tx.blockTime * 1000 > CONFIG.solana.maxTxAgeMs;
 
-        const buyer = tx.transaction.message.accountKeys[0].pubkey.toString();
-        const solSpent = (tx.meta.preBalances[0] - tx.meta.postBalances[0]) / 1e9;
-        if (solSpent <= 0) return null;
+        await handlePumpEvents(tx, signature, stale);
+        if (stale) return [];
 
         const price = await getSolPrice();
-        const buyUsd = solSpent * price;
-        if (buyUsd < MIN_BUY_USD) return null;
-
-        const tokenBalances = tx.meta.postTokenBalances || [];
-        let mint = null;
-        for (const bal of tokenBalances) {
-            if (bal.owner === buyer && bal.uiTokenAmount.uiAmount > 0) {
-                mint = bal.mint;
-                break;
-            }
+        const trades = [];
+
+        for (const swap of decodeSwaps(tx)) {
+            if (swap.trader === MIGRATION_AUTHORITY) continue; // pool seeding, not a trade
+
+            const usd = swap.quote === "SOL" ? swap.quoteAmount * price : swap.quoteAmount;
+            if (usd < CONFIG.solana.minBuyUsd) continue;
+
+            trades.push({ side: swap.side, mint: swap.mint, trader: swap.trader, usd });
         }
 
-        if (!mint) return null;
-        return { mint, buyer, buyUsd };
+        return trades;
     } catch {
-        return null;
+        return [];
+    }
+}
+
+
+/**
+ * Pump.fun lifecycle: creates seed the launch registry (creation slot
+ * for bundle checks), withdraw + Raydium pool init mark a graduation.
+ * Stale (backfilled / replayed) txs still update the registry but
+ * never alert.
+ */
+async function handlePumpEvents(tx, signature, stale) {
+    const { creates, withdraws, poolInits } = decodePumpTx(tx);
+
+    for (const create of creates) {
+        if (isPumpToken(create.mint)) continue;
+
+        registerPumpToken(create.mint, create.creator, {
+            slot: tx.slot,
+            signature,
+            time: tx.blockTime ? tx.blockTime * 1000 : Date.now(),
+            name: create.name,
+            symbol: create.symbol,
+        });
+        console.log(`🆕 Pump.fun create: ${create.symbol} ${create.mint.slice(0, 8)}... (slot ${tx.slot})`);
+    }
+
+    const solRaised = new Map();
+    for (const withdraw of withdraws) {
+        solRaised.set(withdraw.mint, getLamportsOut(tx, withdraw.bondingCurve));
+        recordWithdraw(withdraw.mint, solRaised.get(withdraw.mint));
+    }
+
+    for (const init of poolInits) {
+        if (!init.isMigration || hasMigrated(init.tokenMint)) continue;
+
+        const launch = getPumpToken(init.tokenMint);
+        markMigrated(init.tokenMint, init.amm);
+        if (stale) continue;
+
+        await emitMigrationAlert(init, tx, launch, solRaised.get(init.tokenMint) ?? launch?.solRaised ?? null);
+    }
+}
+
+
+async function emitMigrationAlert(init, tx, launch, solRaised) {
+    try {
+        const mint = init.tokenMint;
+        if (isMuted(mint)) return;
+
+        const migratedAt = tx.blockTime ? tx.blockTime * 1000 : Date.now();
+
+        let curve = null;
+        try {
+            const account = await connection.getAccountInfo(getBondingCurveAddress(mint));
+            if (account) curve = decodeBondingCurve(account.data);
+        } catch {
+            // Curve state is informational only
+        }
+
+        const info = await getTokenInfo(mint);
+
+        emitAlert({
+            type: "migration",
+            chain: "solana",
+            token: {
+                address: mint,
+                name: info?.name || launch?.name,
+                symbol: info?.symbol || launch?.symbol,
+            },
+            pair: { address: init.amm, dex: "raydium" },
+            trigger: { kind: "migration", description: "GRADUATED TO RAYDIUM" },
+            market: info || {},
+            migration: {
+                pool: init.amm,
+                lpMint: init.lpMint,
+                creator: launch?.creator || null,
+                createdAt: launch?.time || null,
+                timeToMigrationMs: launch?.time ? migratedAt - launch.time : null,
+                bondingCurveFill: curve ? (curve.complete ? 100 : curve.fillPercent) : null,
+                solRaised,
+            },
+            links: [
+                { label: "Dex", url: `https://dexscreener.com/solana/${init.amm}` },
+                { label: "Birdeye", url: `https://birdeye.so/token/${mint}` },
+                { label: "RugCheck", url: `https://rugcheck.xyz/tokens/${mint}` },
+                { label: "Photon", url: `https://photon-sol.tinyastro.io/en/lp/${init.amm}` },
+            ],
+        });
+        console.log(`🎓 GRADUATED: ${launch?.symbol || mint.slice(0, 8)} → Raydium ${init.amm.slice(0, 8)}...`);
+    } catch (err) {
+        console.log("⚠️ Migration alert error:", err.message);
     }
 }
 
 
 async function processWhaleBuy(mint, buyer, buyUsd) {
+    let reserved = false;
     try {
+        recordTrade("solana", mint, buyer, "buy", buyUsd);
+
         if (alerted.has(mint)) return;
+        if (isMuted(mint)) return;
 
         if (!whaleBuyers.has(mint)) {
             whaleBuyers.set(mint, {
@@ -185,9 +353,10 @@ async function processWhaleBuy(mint, buyer, buyUsd) {
             });
         }
 
+        const limits = CONFIG.solana;
         const data = whaleBuyers.get(mint);
 
-        if (Date.now() - data.firstSeen > WINDOW_MS) {
+        if (Date.now() - data.firstSeen > limits.windowMs) {
             data.buyers.clear();
             data.firstSeen = Date.now();
             data.totalVolume = 0;
@@ -195,124 +364,285 @@ async function processWhaleBuy(mint, buyer, buyUsd) {
 
         data.buyers.set(buyer, (data.buyers.get(buyer) || 0) + buyUsd);
         data.totalVolume += buyUsd;
+        markDirty("solanaWatcher");
 
         const whaleCount = data.buyers.size;
         const totalVolume = data.totalVolume;
 
-        const isBigSingleBuy = buyUsd >= BIG_SINGLE_BUY_USD && whaleCount === 1;
-        const isMultiWhale = whaleCount >= MIN_WHALES;
+        const isBigSingleBuy = buyUsd >= limits.bigSingleBuyUsd && whaleCount === 1;
+        const isMultiWhale = whaleCount >= limits.minWhales;
 
         if (!isBigSingleBuy && !isMultiWhale) {
             console.log(`🐋 ${whaleCount} whale(s) | $${buyUsd.toFixed(0)} | ${mint.slice(0, 8)}...`);
             return;
         }
 
+        // One candidate check per mint at a time — buys landing while
+        // the analyzers run would each alert otherwise
+        if (evaluating.has(mint)) return;
+        evaluating.add(mint);
+        reserved = true;
+
+        const flow = getFlow("solana", mint);
+        if (flow.netFlowUsd < CONFIG.flow.minNetFlowUsd) {
+            console.log(`❌ ${mint.slice(0, 8)}... net flow $${flow.netFlowUsd.toFixed(0)} (${flow.sells} whale sells)`);
+            return;
+        }
+
         const info = await getTokenInfo(mint);
         if (!info) { console.log(`❌ No data for ${mint.slice(0, 8)}`); return; }
 
         console.log(`🔥 ${info.symbol} | Whales: ${whaleCount} | $${buyUsd.toFixed(0)} | MCap: $${info.marketCap.toLocaleString()}`);
 
-        if (info.liquidity < MIN_LIQ) { console.log(`❌ ${info.symbol} liq too low`); return; }
-        if (info.liquidity > MAX_LIQ) { console.log(`❌ ${info.symbol} too established`); return; }
-        if (info.marketCap > MAX_MCAP) { console.log(`❌ ${info.symbol} already mooned`); return; }
+        if (info.liquidity < limits.minLiquidity) { console.log(`❌ ${info.symbol} liq too low`); return; }
+        if (info.liquidity > limits.maxLiquidity) { console.log(`❌ ${info.symbol} too established`); return; }
+        if (info.marketCap > limits.maxMarketCap) { console.log(`❌ ${info.symbol} already mooned`); return; }
 
         const rug = await quickRugCheck(mint);
         if (rug.isCritical) { console.log(`❌ ${info.symbol} rug flag: ${rug.risks.join(", ")}`); return; }
 
+        const [lpLock, bundle, holders, creator] = await Promise.all([
+            verifyLPLock(mint),
+            detectBundle(mint),
+            analyzeHolderDistribution(mint),
+            analyzeCreatorHistory(mint),
+        ]);
+
+        // Launch-window buyers are the Solana snipers (null when the launch is out of reach) —
+        // the bundle only scores through them
+        const score = scoreToken({
+            whaleCount,
+            liquidity: info.liquidity,
+            marketCap: info.marketCap,
+            sniperCount: bundle ? bundle.wallets : null,
+            rugcheck: rug,
+            holders,
+            lpLock,
+            creator,
+        });
+
+        if (!shouldAlert(score, limits.minScore)) {
+            console.log(`❌ ${info.symbol} score ${score} < ${limits.minScore}`);
+            return;
+        }
+
         alerted.add(mint);
+        markAlerted("solana", mint);
+        markDirty("solanaWatcher");
         totalAlerts++;
 
-        const triggerReason = isBigSingleBuy
-            ? `🐳 BIG BUY ($${buyUsd.toFixed(0)})`
-            : `🐋 ${whaleCount} WHALES IN 5MIN`;
-
-        const ageLine = info.ageHours !== null
-            ? `⏱️ Age: ${info.ageHours < 1 ? `${Math.round(info.ageHours * 60)}m` : `${info.ageHours.toFixed(1)}h`}`
-            : `⏱️ Age: Unknown`;
-
-        const momentumLine = info.priceChange5m >= 0
-            ? `📈 +${info.priceChange5m}% (5m) | +${info.priceChange1h}% (1h)`
-            : `📉 ${info.priceChange5m}% (5m) | ${info.priceChange1h}% (1h)`;
-
-        const buyPressure = info.buys5m + info.sells5m > 0
-            ? `🟢 ${info.buys5m}B / 🔴 ${info.sells5m}S (5m)\n`
-            : "";
-
-        const alert =
-            `🚨 SOLANA MEME ALERT 🚨\n\n` +
-            `🐸 ${info.name} ($${info.symbol})\n` +
-            `📍 ${mint}\n\n` +
-            `${triggerReason}\n` +
-            `💰 Latest Buy: $${buyUsd.toFixed(0)}\n` +
-            `💼 Window Volume: $${totalVolume.toFixed(0)}\n\n` +
-            `💧 Liquidity: $${info.liquidity.toLocaleString()}\n` +
-            `📊 Market Cap: $${info.marketCap.toLocaleString()}\n` +
-            `${ageLine}\n` +
-            `${momentumLine}\n` +
-            `${buyPressure}` +
-            `⚠️ RugCheck: ${rug.grade}${rug.risks.length ? ` (${rug.risks.join(", ")})` : ""}\n\n` +
-            `🔗 Dex: https://dexscreener.com/solana/${mint}\n` +
-            `🦅 Birdeye: https://birdeye.so/token/${mint}\n` +
-            `🔍 RugCheck: https://rugcheck.xyz/tokens/${mint}\n` +
-            `📱 Photon: https://photon-sol.tinyastro.io/en/lp/${info.pairAddress}`;
-
-        queueAlert(alert);
-        console.log(`✅ ALERT #${totalAlerts}: ${info.symbol} | MCap: $${info.marketCap.toLocaleString()}`);
+        emitAlert({
+            chain: "solana",
+            token: { address: mint, name: info.name, symbol: info.symbol },
+            pair: { address: info.pairAddress, dex: info.dexId },
+            trigger: isBigSingleBuy
+                ? { kind: "big_single_buy", description: `BIG BUY ($${buyUsd.toFixed(0)})` }
+                : { kind: "multi_whale", description: `${whaleCount} WHALES IN ${+(limits.windowMs / 60000).toFixed(1)} MIN` },
+            buyers: {
+                count: whaleCount,
+                latestBuyUsd: buyUsd,
+                windowVolumeUsd: totalVolume,
+                wallets: [...data.buyers].map(([address, usd]) => ({ address, usd })),
+            },
+            market: info,
+            risk: { rugcheck: rug, lpLock, bundle, holders, creator },
+            flow,
+            score,
+            links: [
+                { label: "Dex", url: `https://dexscreener.com/solana/${mint}` },
+                { label: "Birdeye", url: `https://birdeye.so/token/${mint}` },
+                { label: "RugCheck", url: `https://rugcheck.xyz/tokens/${mint}` },
+                { label: "Photon", url: `https://photon-sol.tinyastro.io/en/lp/${info.pairAddress}` },
+            ],
+        });
+        console.log(`✅ ALERT #${totalAlerts}: ${info.symbol} | MCap: $${info.marketCap.toLocaleString()} | Score: ${score}`);
 
     } catch (err) {
         console.log(`⚠️ processWhaleBuy error:`, err.message);
+    } finally {
+        if (reserved) evaluating.delete(mint);
     }
 }
 
 
-async function scanProgram(programId, label, lastSigKey) {
+/**
+ * Whale sells feed net flow; large sells by early buyers of an
+ * alerted token raise a whale exit
+ */
+async function processWhaleSell(mint, seller, sellUsd) {
     try {
-        const options = { limit: 15 };
+        if (!isTracked("solana", mint)) return; // no whale interest yet
+
+        const flow = recordTrade("solana", mint, seller, "sell", sellUsd);
+        console.log(`🔴 Sell $${sellUsd.toFixed(0)} | ${mint.slice(0, 8)}... | Net: $${flow.netFlowUsd.toFixed(0)}`);
 
-        // ✅ FIX 3: Only fetch signatures NEWER than last seen
-        if (lastSignature[lastSigKey]) {
-            options.until = lastSignature[lastSigKey];
+        const exit = checkWhaleExit("solana", mint, seller, sellUsd);
+        if (!exit || isMuted(mint)) return;
+
+        const info = await getTokenInfo(mint);
+        if (!info) return;
+
+        totalExitAlerts++;
+
+        emitAlert({
+            type: "whale_exit",
+            chain: "solana",
+            token: { address: mint, name: info.name, symbol: info.symbol },
+            pair: { address: info.pairAddress, dex: info.dexId },
+            trigger: { kind: "whale_exit", description: `EARLY WHALE SOLD ($${sellUsd.toFixed(0)})` },
+            market: info,
+            flow,
+            exit,
+            links: [
+                { label: "Dex", url: `https://dexscreener.com/solana/${mint}` },
+                { label: "Birdeye", url: `https://birdeye.so/token/${mint}` },
+                { label: "Photon", url: `https://photon-sol.tinyastro.io/en/lp/${info.pairAddress}` },
+            ],
+        });
+        console.log(`🚪 WHALE EXIT: ${info.symbol} | ${seller.slice(0, 8)}... sold $${sellUsd.toFixed(0)}`);
+    } catch (err) {
+        console.log(`⚠️ processWhaleSell error:`, err.message);
+    }
+}
+
+
+/**
+ * Fetch signatures through the RPC pool (batched) and process
+ * their trades in order. A signature only counts as seen once its
+ * transaction came back.
+ * @returns {Promise<Set<string>>} signatures that couldn't be fetched
+ */
+async function processSignatures(signatures) {
+    // ✅ FIX 2 cont: check TTL, not just presence
+    const fresh = signatures.filter((sig) => !seenTx.has(sig) && !fetchingTx.has(sig));
+    if (fresh.length === 0) return new Set();
+
+    let txs;
+    for (const sig of fresh) fetchingTx.add(sig);
+    try {
+        txs = await getParsedTransactions(connection, fresh);
+    } catch (err) {
+        console.log(`⚠️ Fetch of ${fresh.length} txns failed:`, err.message);
+        return new Set(fresh);
+    } finally {
+        for (const sig of fresh) fetchingTx.delete(sig);
+    }
+
+    const failed = new Set();
+    for (let i = 0; i < fresh.length; i++) {
+        if (!txs[i]) {
+            failed.add(fresh[i]);
+            continue;
         }
+        seenTx.set(fresh[i], Date.now());
+
+        for (const trade of await parseSwapTx(txs[i], fresh[i])) {
+            if (trade.side === "buy") await processWhaleBuy(trade.mint, trade.trader, trade.usd);
+            else await processWhaleSell(trade.mint, trade.trader, trade.usd);
+        }
+    }
+
+    return failed;
+}
+
+
+/**
+ * Every signature newer than the cursor, newest first. Pages back
+ * with `before` until the cursor is reached (or the page limit hits).
+ */
+async function fetchSignaturesSince(programId, cursor) {
+    // No cursor yet: start from the latest page instead of replaying history
+    if (!cursor) {
+        const signatures = await connection.getSignaturesForAddress(programId, { limit: 15 });
+        return { signatures, reachedCursor: true, pages: 1 };
+    }
+
+    const signatures = [];
+    let before;
+
+    for (let page = 1; page <= MAX_BACKFILL_PAGES; page++) {
+        const batch = await connection.getSignaturesForAddress(programId, {
+            limit: SIGNATURE_PAGE,
+            until: cursor,
+            before,
+        });
+        signatures.push(...batch);
+
+        if (batch.length < SIGNATURE_PAGE) return { signatures, reachedCursor: true, pages: page };
+        before = batch[batch.length - 1].signature;
+    }
+
+    return { signatures, reachedCursor: false, pages: MAX_BACKFILL_PAGES };
+}
 
-        const signatures = await connection.getSignaturesForAddress(programId, options);
+
+/**
+ * Catch up a program from its cursor: oldest-first, at most
+ * CONFIG.solana.maxBackfillSignatures per run (the newest ones) —
+ * anything older is counted as skipped
+ */
+async function scanProgram(programId, label, lastSigKey) {
+    try {
+        const { signatures, reachedCursor, pages } = await fetchSignaturesSince(programId, lastSignature[lastSigKey]);
+        liveGaps.delete(lastSigKey); // this run covers whatever the live queue dropped
 
         if (signatures.length === 0) {
             console.log(`📡 ${label}: No new txns since last scan`);
             return;
         }
 
-        // Update cursor to newest sig
-        lastSignature[lastSigKey] = signatures[0].signature;
+        const batch = signatures.slice(0, CONFIG.solana.maxBackfillSignatures).reverse();
+        const skipped = signatures.length - batch.length;
+
+        backfill.runs++;
+        backfill.pages += pages;
+        if (skipped > 0) {
+            backfill.skipped += skipped;
+            backfill.skippedByProgram[lastSigKey] = (backfill.skippedByProgram[lastSigKey] || 0) + skipped;
+        }
+        if (!reachedCursor) backfill.cursorLost++;
 
-        console.log(`📡 ${label}: ${signatures.length} new txns`);
+        console.log(
+            `📡 ${label}: ${signatures.length}${reachedCursor ? "" : "+"} new txns` +
+            (skipped > 0 ? ` (⚠️ ${skipped} skipped over cap)` : "")
+        );
 
-        for (const sig of signatures) {
-            if (sig.err) continue; // Skip failed txns immediately
-            const parsed = await parseSwapTx(sig.signature);
-            if (parsed) {
-                await processWhaleBuy(parsed.mint, parsed.buyer, parsed.buyUsd);
+        for (let i = 0; i < batch.length; i += CONFIG.RPC_BATCH_SIZE) {
+            const chunk = batch.slice(i, i + CONFIG.RPC_BATCH_SIZE);
+            // Skip failed txns immediately
+            const failed = await processSignatures(chunk.filter((sig) => !sig.err).map((sig) => sig.signature));
+
+            // Cursor follows processing so a restart resumes here — and
+            // stops before the first unfetched txn so the next run retries it
+            const stop = chunk.findIndex((sig) => failed.has(sig.signature));
+            if (stop !== -1) {
+                if (stop > 0) lastSignature[lastSigKey] = chunk[stop - 1].signature;
+                markDirty("solanaWatcher");
+                backfill.failed += failed.size;
+                console.log(`⚠️ ${label}: ${failed.size} txns not fetched — retrying from cursor next run`);
+                totalScanned += i + stop;
+                return;
             }
-            await new Promise((r) => setTimeout(r, 200));
+
+            lastSignature[lastSigKey] = chunk[chunk.length - 1].signature;
+            markDirty("solanaWatcher");
         }
 
-        totalScanned += signatures.length;
+        totalScanned += batch.length;
     } catch (err) {
         console.log(`⚠️ Error scanning ${label}:`, err.message);
     }
 }
 
 
-export function watchSolanaMomentum() {
-    console.log("🟣 Solana Meme Detector LIVE (Fixed)");
-    console.log(`💰 Min Buy: $${MIN_BUY_USD} | MCap: $${MIN_MCAP.toLocaleString()}-$${MAX_MCAP.toLocaleString()}`);
-    console.log("📡 Monitoring: Pump.fun | Raydium V4 | Raydium CPMM");
-    console.log("🔧 Fixes: cursor-based scanning, TTL tx cache, expanded age window");
-
-    getSolPrice();
-
-    setInterval(async () => {
-        console.log(`\n🔄 Scanning... (${totalScanned} total | ${totalAlerts} alerts)`);
+/**
+ * Cursor-based poll of every program (fallback mode + gap backfill)
+ */
+async function scanAll() {
+    if (scanning) return;
+    scanning = true;
 
+    try {
         await scanProgram(PROGRAMS.PUMPFUN, "Pump.fun", "PUMPFUN");
         await new Promise((r) => setTimeout(r, 800));
 
@@ -320,7 +650,212 @@ export function watchSolanaMomentum() {
         await new Promise((r) => setTimeout(r, 800));
 
         await scanProgram(PROGRAMS.RAYDIUM_CPMM, "Raydium CPMM", "RAYDIUM_CPMM");
+        await new Promise((r) => setTimeout(r, 800));
+
+        await scanProgram(PROGRAMS.MIGRATION, "Migrations", "MIGRATION");
+    } finally {
+        scanning = false;
+    }
+}
+
+
+// ========================================
+// ⚡ REALTIME (logsSubscribe)
+// ========================================
+
+/**
+ * Skip Pump.fun trades whose logged TradeEvent is already below the
+ * buy threshold — saves a getParsedTransaction per small trade
+ */
+function isWorthFetching(key, logs) {
+    if (key === "RAYDIUM_V4") return logs.logs.some(isRaydiumSwapLog);
+    if (key === "RAYDIUM_CPMM") return logs.logs.some((line) => CPMM_SWAP_LOG.test(line));
+    if (key !== "PUMPFUN") return true;
+    if (logs.logs.some((line) => /Instruction: (Create|Withdraw)/.test(line))) return true;
+
+    const events = decodePumpLogEvents(logs.logs);
+    if (events.length === 0) return true; // event emitted via CPI — fetch to find out
+
+    return events.some((e) => e.quoteAmount * solPrice >= CONFIG.solana.minBuyUsd);
+}
+
+function isRaydiumSwapLog(line) {
+    const at = line.indexOf("ray_log: ");
+    if (at === -1) return false;
+    return RAY_LOG_SWAPS.has(Buffer.from(line.slice(at + 9).trim(), "base64")[0]);
+}
+
+function onProgramLog(key, logs) {
+    realtime.lastLogAt = Date.now();
+    realtime.received++;
+
+    if (logs.err || isPaused("solana")) return;
+    if (seenTx.has(logs.signature)) return;
+    if (!isWorthFetching(key, logs)) { realtime.filtered++; return; }
+
+    // Full queue: drop it and leave the program's cursor behind it so
+    // the gap backfill picks it up
+    if (liveQueue.length >= MAX_LIVE_QUEUE) {
+        liveGaps.add(key);
+        realtime.dropped++;
+        return;
+    }
+    liveQueue.push({ key, signature: logs.signature });
+    drainLiveQueue();
+}
+
+async function drainLiveQueue() {
+    if (draining) return;
+    draining = true;
+
+    while (liveQueue.length > 0) {
+        const items = liveQueue.splice(0, CONFIG.RPC_BATCH_SIZE);
+        let failed;
+        try {
+            failed = await processSignatures(items.map((item) => item.signature));
+        } catch (err) {
+            console.log("⚠️ Live tx error:", err.message);
+            failed = new Set(items.map((item) => item.signature));
+        }
+        realtime.failed += failed.size;
 
+        // Cursor follows processed txns so a reconnect backfills from here;
+        // an unfetched txn freezes its program's cursor until backfilled
+        for (const { key, signature } of items) {
+            if (failed.has(signature)) liveGaps.add(key);
+            if (!liveGaps.has(key)) lastSignature[key] = signature;
+        }
+        markDirty("solanaWatcher");
+        totalScanned += items.length;
+    }
+
+    draining = false;
+
+    if (liveGaps.size > 0) {
+        console.log(`⚠️ Live txns dropped or unfetched (${[...liveGaps].join(", ")}) — backfilling from cursor`);
+        scanAll().catch((err) => console.log("⚠️ Gap backfill failed:", err.message));
+    }
+}
+
+function startRealtime() {
+    liveConnection = getSolanaWsConnection();
+    for (const [key, programId] of Object.entries(PROGRAMS)) {
+        realtime.subscriptions[key] = liveConnection.onLogs(programId, (logs) => onProgramLog(key, logs), "confirmed");
+    }
+
+    realtime.live = true;
+    realtime.lastLogAt = Date.now();
+    console.log(`⚡ Solana realtime: subscribed to ${Object.keys(PROGRAMS).length} programs`);
+
+    // Catch up on whatever landed while we weren't subscribed
+    scanAll().catch((err) => console.log("⚠️ Gap backfill failed:", err.message));
+}
+
+function stopRealtime() {
+    for (const id of Object.values(realtime.subscriptions)) {
+        liveConnection.removeOnLogsListener(id).catch(() => {});
+    }
+    realtime.subscriptions = {};
+    realtime.live = false;
+    realtime.fallbackSince = Date.now();
+}
+
+/**
+ * Fall back to polling when the socket goes silent, retry it later
+ */
+function checkRealtime() {
+    const now = Date.now();
+
+    if (realtime.live && now - realtime.lastLogAt > WS_STALE_MS) {
+        console.log(`⚠️ Solana websocket silent for ${WS_STALE_MS / 1000}s — falling back to polling`);
+        stopRealtime();
+        rotateSolanaWss(`silent for ${WS_STALE_MS / 1000}s`); // retry on the next SOLANA_WSS endpoint
+    } else if (!realtime.live && now - realtime.fallbackSince > WS_RETRY_MS) {
+        realtime.reconnects++;
+        console.log("🔄 Retrying Solana websocket...");
+        startRealtime();
+    }
+}
+
+
+/**
+ * Detector counters (API / status output)
+ */
+export function getSolanaStatus() {
+    return {
+        txScanned: totalScanned,
+        alertsTriggered: totalAlerts,
+        exitAlerts: totalExitAlerts,
+        trackedTokens: whaleBuyers.size,
+        alertedTokens: alerted.size,
+        seenTx: seenTx.size,
+        cursors: { ...lastSignature },
+        backfill: { ...backfill, skippedByProgram: { ...backfill.skippedByProgram } },
+        ingest: {
+            mode: CONFIG.SOLANA_INGEST,
+            live: realtime.live,
+            queued: liveQueue.length,
+            received: realtime.received,
+            filtered: realtime.filtered,
+            dropped: realtime.dropped,
+            failed: realtime.failed,
+            gaps: [...liveGaps],
+            reconnects: realtime.reconnects,
+            lastLogAt: realtime.lastLogAt || null,
+        },
+        solPrice,
+    };
+}
+
+/**
+ * Active alert thresholds
+ */
+export function getSolanaThresholds() {
+    return { ...CONFIG.solana };
+}
+
+/**
+ * Live tracking state for one mint
+ */
+export function getSolanaTokenState(mint) {
+    const data = whaleBuyers.get(mint);
+
+    return {
+        alerted: alerted.has(mint),
+        flow: isTracked("solana", mint) ? getFlow("solana", mint) : null,
+        tracking: data
+            ? {
+                whaleCount: data.buyers.size,
+                totalVolume: data.totalVolume,
+                firstSeen: data.firstSeen,
+                buyers: Object.fromEntries(data.buyers),
+            }
+            : null,
+    };
+}
+
+
+export function watchSolanaMomentum() {
+    console.log("🟣 Solana Meme Detector LIVE (Fixed)");
+    const limits = CONFIG.solana;
+    console.log(`💰 Min Buy: $${limits.minBuyUsd} | Max MCap: $${limits.maxMarketCap.toLocaleString()}`);
+    console.log("📡 Monitoring: Pump.fun | Raydium V4 | Raydium CPMM | Migrations");
+    console.log(`⚡ Ingest: ${CONFIG.SOLANA_INGEST}${CONFIG.SOLANA_INGEST === "websocket" ? " (polling fallback)" : ""}`);
+    console.log("🔧 Fixes: cursor-based scanning, TTL tx cache, expanded age window");
+
+    getSolPrice();
+
+    if (CONFIG.SOLANA_INGEST === "websocket") {
+        startRealtime();
+        setInterval(checkRealtime, 30000);
+    }
+
+    setInterval(async () => {
+        if (isPaused("solana")) return;
+        if (realtime.live) return; // socket is feeding us
+
+        console.log(`\n🔄 Scanning... (${totalScanned} total | ${totalAlerts} alerts)`);
+        await scanAll();
         console.log(`✅ Scan done`);
     }, 20000);
 
@@ -341,9 +876,12 @@ export function watchSolanaMomentum() {
 
         if (alerted.size > 1000) { alerted.clear(); console.log("🧹 Cleared alert cache"); }
 
+        cleanupPumpTokens();
+
         for (const [mint, data] of whaleBuyers.entries()) {
-            if (now - data.firstSeen > WINDOW_MS * 3) whaleBuyers.delete(mint);
+            if (now - data.firstSeen > CONFIG.solana.windowMs * 3) whaleBuyers.delete(mint);
         }
+        markDirty("solanaWatcher");
 
         console.log(`📊 Status: ${whaleBuyers.size} tracked | ${alerted.size} alerted | seenTx: ${seenTx.size}`);
     }, 60000);
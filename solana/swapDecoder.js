@@ -0,0 +1,268 @@
+import { PublicKey } from "@solana/web3.js";
+import bs58 from "bs58";
+import { PUMP_PROGRAM_ID, RAYDIUM_V4_PROGRAM_ID, getAllInstructions } from "./pumpfun.js";
+
+/**
+ * ========================================
+ * 🔀 SOLANA SWAP DECODER
+ * ========================================
+ * Program-specific decoding for Pump.fun, Raydium AMM V4 and
+ * Raydium CPMM swaps (top-level or inside Jupiter routes)
+ */
+
+const RAYDIUM_CPMM_PROGRAM_ID = "CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C";
+
+// What traders pay with — the other side of a swap is the meme
+const QUOTE_MINTS = {
+    So11111111111111111111111111111111111111112: "SOL",
+    EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: "USDC",
+    Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: "USDT",
+};
+
+const PUMP = {
+    buy: [102, 6, 61, 18, 1, 218, 235, 234],
+    sell: [51, 230, 133, 164, 1, 127, 131, 173],
+    tradeEvent: [189, 219, 127, 211, 78, 230, 97, 238],
+    eventCpi: [228, 69, 165, 46, 81, 203, 154, 29], // Anchor emit_cpi! tag
+};
+
+const CPMM = {
+    swapBaseInput: [143, 190, 90, 218, 196, 30, 51, 222],
+    swapBaseOutput: [55, 217, 98, 86, 163, 74, 180, 173],
+};
+
+// Raydium V4 instruction tags
+const RAYDIUM_SWAP_TAGS = new Set([9, 11]); // swapBaseIn, swapBaseOut
+
+const PUMP_TOKEN_DECIMALS = 6;
+
+const hasPrefix = (data, prefix) => prefix.every((byte, i) => data[i] === byte);
+const readPubkey = (data, offset) => new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+
+/**
+ * @typedef {Object} DecodedSwap
+ * @property {"pumpfun"|"raydium_v4"|"raydium_cpmm"} program
+ * @property {"buy"|"sell"} side
+ * @property {string} mint - Meme token
+ * @property {number} tokenAmount - UI amount
+ * @property {"SOL"|"USDC"|"USDT"} quote
+ * @property {number} quoteAmount - UI amount
+ * @property {string} trader - Wallet that owns the swapped tokens
+ * @property {string|null} pool
+ */
+
+// ========================================
+// 🎰 PUMP.FUN
+// ========================================
+
+/**
+ * TradeEvent body: mint, solAmount, tokenAmount, isBuy, user
+ */
+function decodeTradeEvent(data) {
+    return {
+        program: "pumpfun",
+        side: data[48] === 1 ? "buy" : "sell",
+        mint: readPubkey(data, 0),
+        tokenAmount: Number(data.readBigUInt64LE(40)) / 10 ** PUMP_TOKEN_DECIMALS,
+        quote: "SOL",
+        quoteAmount: Number(data.readBigUInt64LE(32)) / 1e9,
+        trader: readPubkey(data, 49),
+        pool: null,
+    };
+}
+
+/**
+ * Pump.fun TradeEvents in raw log lines ("Program data:" entries) —
+ * also usable on logsSubscribe payloads before fetching the tx
+ * @returns {DecodedSwap[]}
+ */
+export function decodePumpLogEvents(logMessages = []) {
+    const events = [];
+
+    for (const line of logMessages) {
+        if (!line.startsWith("Program data: ")) continue;
+
+        const data = Buffer.from(line.slice("Program data: ".length), "base64");
+        if (hasPrefix(data, PUMP.tradeEvent)) events.push(decodeTradeEvent(data.subarray(8)));
+    }
+
+    return events;
+}
+
+/**
+ * TradeEvents from "Program data:" logs and event-CPI inner instructions
+ */
+function decodePumpEvents(tx, instructions) {
+    const events = decodePumpLogEvents(tx.meta.logMessages || []);
+
+    // Newer program versions emit through a self-CPI instead of logs
+    if (events.length === 0) {
+        for (const { programId, data } of instructions) {
+            if (programId !== PUMP_PROGRAM_ID) continue;
+            if (hasPrefix(data, PUMP.eventCpi) && hasPrefix(data.subarray(8), PUMP.tradeEvent)) {
+                events.push(decodeTradeEvent(data.subarray(16)));
+            }
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Pump.fun buy/sell instructions without an event: amounts from
+ * the trader's token delta and the bonding curve's lamport delta
+ * Accounts: [global, feeRecipient, mint @2, bondingCurve @3, ..., user @6]
+ */
+function decodePumpInstruction(tx, ix, side) {
+    const mint = ix.accounts[2];
+    const trader = ix.accounts[6];
+
+    const tokenDelta = getOwnerTokenDelta(tx, trader, mint);
+    const curveIndex = getAccountIndex(tx, ix.accounts[3]);
+    const lamports = curveIndex === -1
+        ? 0
+        : Math.abs(tx.meta.postBalances[curveIndex] - tx.meta.preBalances[curveIndex]);
+
+    return {
+        program: "pumpfun",
+        side,
+        mint,
+        tokenAmount: Math.abs(tokenDelta),
+        quote: "SOL",
+        quoteAmount: lamports / 1e9,
+        trader,
+        pool: ix.accounts[3],
+    };
+}
+
+// ========================================
+// 🌊 RAYDIUM (vault balance deltas)
+// ========================================
+
+function getAccountIndex(tx, address) {
+    return tx.transaction.message.accountKeys.findIndex((k) => k.pubkey.toBase58() === address);
+}
+
+/**
+ * UI balance change of a token account + its mint
+ */
+function getVaultDelta(tx, address) {
+    const index = getAccountIndex(tx, address);
+    const find = (list) => (list || []).find((b) => b.accountIndex === index);
+
+    const pre = find(tx.meta.preTokenBalances);
+    const post = find(tx.meta.postTokenBalances);
+    const entry = post || pre;
+    if (!entry) return null;
+
+    return {
+        mint: entry.mint,
+        delta: (post?.uiTokenAmount.uiAmount || 0) - (pre?.uiTokenAmount.uiAmount || 0),
+    };
+}
+
+/**
+ * UI balance change of every account an owner holds for a mint
+ */
+function getOwnerTokenDelta(tx, owner, mint) {
+    const sum = (list) =>
+        (list || [])
+            .filter((b) => b.owner === owner && b.mint === mint)
+            .reduce((total, b) => total + (b.uiTokenAmount.uiAmount || 0), 0);
+
+    return sum(tx.meta.postTokenBalances) - sum(tx.meta.preTokenBalances);
+}
+
+/**
+ * Build a swap from the two pool vaults: the vault that grew
+ * received the input
+ */
+function swapFromVaults(tx, program, pool, vaultA, vaultB, trader) {
+    const a = getVaultDelta(tx, vaultA);
+    const b = getVaultDelta(tx, vaultB);
+    if (!a || !b) return null;
+
+    const [quoteVault, tokenVault] = QUOTE_MINTS[a.mint] ? [a, b] : [b, a];
+    if (!QUOTE_MINTS[quoteVault.mint] || QUOTE_MINTS[tokenVault.mint]) return null; // not a meme pair
+
+    return {
+        program,
+        side: quoteVault.delta > 0 ? "buy" : "sell",
+        mint: tokenVault.mint,
+        tokenAmount: Math.abs(tokenVault.delta),
+        quote: QUOTE_MINTS[quoteVault.mint],
+        quoteAmount: Math.abs(quoteVault.delta),
+        trader,
+        pool,
+    };
+}
+
+/**
+ * Raydium V4 swapBaseIn / swapBaseOut. 18 accounts (with target
+ * orders): vaults @5/@6, owner @17; 17 accounts: vaults @4/@5, owner @16
+ */
+function decodeRaydiumV4(tx, ix) {
+    const withTargetOrders = ix.accounts.length >= 18;
+    const [coinVault, pcVault] = withTargetOrders ? [5, 6] : [4, 5];
+    const owner = ix.accounts[withTargetOrders ? 17 : 16];
+
+    return swapFromVaults(tx, "raydium_v4", ix.accounts[1], ix.accounts[coinVault], ix.accounts[pcVault], owner);
+}
+
+/**
+ * Raydium CPMM swap_base_input / swap_base_output
+ * Accounts: [payer, authority, ammConfig, poolState @3, inAta, outAta, inVault @6, outVault @7, ...]
+ */
+function decodeRaydiumCpmm(tx, ix) {
+    return swapFromVaults(tx, "raydium_cpmm", ix.accounts[3], ix.accounts[6], ix.accounts[7], ix.accounts[0]);
+}
+
+// ========================================
+// 🔎 ENTRY POINT
+// ========================================
+
+/**
+ * Decode every supported swap in a parsed transaction
+ * @returns {DecodedSwap[]}
+ */
+export function decodeSwaps(tx) {
+    if (!tx?.meta || tx.meta.err) return [];
+
+    // Raw (unparsed) program instructions, outer + inner (Jupiter CPIs)
+    const instructions = getAllInstructions(tx)
+        .filter((ix) => ix.data && ix.accounts)
+        .map((ix) => ({
+            programId: ix.programId.toBase58(),
+            accounts: ix.accounts.map((a) => a.toBase58()),
+            data: Buffer.from(bs58.decode(ix.data)),
+        }));
+
+    const swaps = [];
+    const pumpEvents = decodePumpEvents(tx, instructions);
+    swaps.push(...pumpEvents);
+
+    // Raydium V4 + CPMM pools touched in one route share vaults —
+    // decode each pool once so vault deltas aren't double counted
+    const seenPools = new Set();
+
+    for (const ix of instructions) {
+        const { programId, data } = ix;
+        let swap = null;
+
+        if (programId === PUMP_PROGRAM_ID && pumpEvents.length === 0) {
+            if (hasPrefix(data, PUMP.buy)) swap = decodePumpInstruction(tx, ix, "buy");
+            else if (hasPrefix(data, PUMP.sell)) swap = decodePumpInstruction(tx, ix, "sell");
+        } else if (programId === RAYDIUM_V4_PROGRAM_ID && RAYDIUM_SWAP_TAGS.has(data[0])) {
+            if (!seenPools.has(ix.accounts[1])) swap = decodeRaydiumV4(tx, ix);
+        } else if (programId === RAYDIUM_CPMM_PROGRAM_ID &&
+            (hasPrefix(data, CPMM.swapBaseInput) || hasPrefix(data, CPMM.swapBaseOutput))) {
+            if (!seenPools.has(ix.accounts[3])) swap = decodeRaydiumCpmm(tx, ix);
+        }
+
+        if (!swap) continue;
+        if (swap.pool) seenPools.add(swap.pool);
+        swaps.push(swap);
+    }
+
+    return swaps;
+}
@@ -2,8 +2,17 @@
  * Trending Meme Leaderboard
  */
 
+import { registerCollection, markDirty } from "../services/store.js";
+
 const trendingTokens = new Map();
 
+registerCollection("trendingTokens", {
+    dump: () => [...trendingTokens.entries()],
+    restore: (entries) => {
+        for (const [mint, data] of entries) trendingTokens.set(mint, data);
+    },
+});
+
 /**
  * Update token momentum score
  */
@@ -31,6 +40,7 @@ export function updateTrendingToken(mint, stats) {
         data.marketCap / 50000;
 
     data.lastUpdate = Date.now();
+    markDirty("trendingTokens");
 }
 
 /**
@@ -1,8 +1,7 @@
 import { getTokenMeta } from "./base/tokenCache.js";
-import { CONFIG } from "./config.js";
-import { ethers } from "ethers";
+import { getBaseProvider } from "./utils/rpcManager.js";
 
-const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+const provider = getBaseProvider();
 
 /**
  * token => { buyers:Set, firstSeen:number }
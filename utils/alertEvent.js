@@ -0,0 +1,122 @@
+import { recordAlert } from "./alertHistory.js";
+import { queueAlert } from "./alertQueue.js";
+import { getRiskLevel } from "./alphaScorer.js";
+
+/**
+ * ========================================
+ * 🧾 ALERT EVENT MODEL
+ * ========================================
+ * Detectors emit structured events; sinks render them
+ * (see utils/alertRenderers.js)
+ */
+
+/**
+ * @typedef {Object} AlertEvent
+ * @property {number} [id] - Assigned when recorded
+ * @property {number} [timestamp] - Assigned when recorded
+ * @property {string} type - Event type ("whale_buy" | "migration" | "whale_exit" | "new_pool")
+ * @property {"base"|"solana"} chain
+ * @property {{ address: string, name: string, symbol: string }} token
+ * @property {{ address: string|null, dex: string|null }} pair
+ * @property {{ kind: string, description: string }} trigger
+ * @property {{ count: number, latestBuyUsd: number, windowVolumeUsd: number,
+ *   wallets: Array<{ address: string, usd: number }> }} buyers
+ * @property {{ liquidity: number, marketCap: number, priceUsd: number,
+ *   ageHours: number|null, priceChange5m: number, priceChange1h: number,
+ *   buys5m: number, sells5m: number, volume5m: number }} market
+ * @property {{ honeypot: object|null, rugcheck: object|null, lpLock: object|null,
+ *   bundle: object|null, holders: object|null, creator: object|null }} risk
+ * @property {{ pool: string, lpMint: string, creator: string|null, createdAt: number|null,
+ *   timeToMigrationMs: number|null, bondingCurveFill: number|null,
+ *   solRaised: number|null }|null} migration - Set on "migration" events
+ * @property {{ token: string, pool: string, dex: string, kind: string, quote: string,
+ *   stable: boolean|null, block: number, createdAt: number }|null} launch - Set on "new_pool" events
+ * @property {{ buyUsd: number, sellUsd: number, netFlowUsd: number, buys: number,
+ *   sells: number, buyers: number, sellers: number }|null} flow - Rolling window flow
+ * @property {{ wallet: string, sellUsd: number, boughtUsd: number, soldUsd: number,
+ *   soldPercent: number|null, alertedAt: number }|null} exit - Set on "whale_exit" events
+ * @property {number|null} score - Alpha score (0-100)
+ * @property {string|null} riskLevel - Derived from score
+ * @property {Array<{ label: string, url: string }>} links
+ */
+
+/**
+ * Normalize detector output into an AlertEvent
+ * @returns {AlertEvent}
+ */
+export function createAlertEvent({
+    type = "whale_buy",
+    chain,
+    token,
+    pair = {},
+    trigger,
+    buyers = {},
+    market = {},
+    risk = {},
+    migration = null,
+    launch = null,
+    flow = null,
+    exit = null,
+    score = null,
+    links = [],
+}) {
+    return {
+        type,
+        chain,
+        token: {
+            address: token.address,
+            name: token.name || "Unknown",
+            symbol: token.symbol || "???",
+        },
+        pair: {
+            address: pair.address || null,
+            dex: pair.dex || null,
+        },
+        trigger: {
+            kind: trigger.kind,
+            description: trigger.description,
+        },
+        buyers: {
+            count: buyers.count || 0,
+            latestBuyUsd: buyers.latestBuyUsd || 0,
+            windowVolumeUsd: buyers.windowVolumeUsd || 0,
+            wallets: buyers.wallets || [],
+        },
+        market: {
+            liquidity: market.liquidity || 0,
+            marketCap: market.marketCap || 0,
+            priceUsd: Number(market.priceUsd) || 0,
+            ageHours: market.ageHours ?? null,
+            priceChange5m: market.priceChange5m || 0,
+            priceChange1h: market.priceChange1h || 0,
+            buys5m: market.buys5m || 0,
+            sells5m: market.sells5m || 0,
+            volume5m: market.volume5m || 0,
+        },
+        risk: {
+            honeypot: risk.honeypot || null,
+            rugcheck: risk.rugcheck || null,
+            lpLock: risk.lpLock || null,
+            bundle: risk.bundle || null,
+            holders: risk.holders || null,
+            creator: risk.creator || null,
+        },
+        migration,
+        launch,
+        flow,
+        exit,
+        score,
+        riskLevel: score === null ? null : getRiskLevel(score),
+        links,
+    };
+}
+
+/**
+ * Record an event (history, stream) and queue it for delivery
+ * @returns {AlertEvent} The recorded event (with id)
+ */
+export function emitAlert(fields) {
+    const event = recordAlert(createAlertEvent(fields));
+    queueAlert(event);
+    return event;
+}
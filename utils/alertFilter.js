@@ -0,0 +1,36 @@
+/**
+ * ========================================
+ * 🎚️ ALERT FILTERS
+ * ========================================
+ * Shared filter rules for sinks (stream clients, notifier channels)
+ */
+
+/**
+ * Build a filter from loose input (query params, env, client message)
+ * @param {{ chains?: string|string[], chain?: string, minLiquidity?: number|string,
+ *   minScore?: number|string }} source
+ */
+export function parseAlertFilter(source = {}) {
+    const chains = source.chains || source.chain;
+
+    return {
+        chains: chains
+            ? (Array.isArray(chains) ? chains : String(chains).split(","))
+                .map((c) => c.trim())
+                .filter(Boolean)
+            : null,
+        minLiquidity: Number(source.minLiquidity) || 0,
+        minScore: Number(source.minScore) || 0,
+    };
+}
+
+/**
+ * Does an AlertEvent pass the filter?
+ */
+export function matchesAlertFilter(alert, filter) {
+    if (!filter) return true;
+    if (filter.chains && !filter.chains.includes(alert.chain)) return false;
+    if (alert.market.liquidity < filter.minLiquidity) return false;
+    if ((alert.score || 0) < filter.minScore) return false;
+    return true;
+}
@@ -0,0 +1,92 @@
+/**
+ * ========================================
+ * 🗂️ ALERT HISTORY
+ * ========================================
+ * Recent alerts fired by the detectors (served by the API)
+ */
+
+import { registerCollection, markDirty } from "../services/store.js";
+
+const MAX_ALERTS = 1000;
+
+const alerts = []; // oldest first
+const listeners = new Set();
+let nextId = 1;
+
+registerCollection("alertHistory", {
+    dump: () => ({ nextId, alerts }),
+    restore: (data) => {
+        alerts.push(...(data.alerts || []));
+        nextId = Math.max(nextId, data.nextId || 1);
+    },
+});
+
+/**
+ * Record a fired alert
+ * @param {object} alert - AlertEvent (utils/alertEvent.js)
+ * @returns {object} Stored entry with id + timestamp
+ */
+export function recordAlert(alert) {
+    const entry = {
+        id: nextId++,
+        timestamp: Date.now(),
+        ...alert,
+    };
+
+    alerts.push(entry);
+    if (alerts.length > MAX_ALERTS) alerts.shift();
+
+    markDirty("alertHistory");
+
+    for (const listener of listeners) {
+        try {
+            listener(entry);
+        } catch (err) {
+            console.log("⚠️ Alert listener error:", err.message);
+        }
+    }
+
+    return entry;
+}
+
+/**
+ * Subscribe to newly recorded alerts
+ * @returns {Function} Unsubscribe
+ */
+export function onAlert(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Alerts recorded after a given id, oldest first (stream resume)
+ */
+export function getAlertsSince(id) {
+    return alerts.filter((a) => a.id > id);
+}
+
+/**
+ * Id of the most recent alert (0 if none)
+ */
+export function getLastAlertId() {
+    return nextId - 1;
+}
+
+/**
+ * Get alerts, newest first
+ * @param {{ chain?: string }} filter
+ */
+export function getAlerts({ chain } = {}) {
+    return alerts
+        .filter((a) => !chain || a.chain === chain)
+        .reverse();
+}
+
+/**
+ * Get alerts fired for one token, newest first
+ */
+export function getTokenAlerts(chain, token) {
+    return alerts
+        .filter((a) => a.chain === chain && a.token.address === token)
+        .reverse();
+}
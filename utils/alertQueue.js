@@ -1,37 +1,119 @@
-import { sendAlert } from "../services/telegram.js";
+import { getNotifiers } from "../services/notifiers.js";
+import { matchesAlertFilter } from "./alertFilter.js";
 
-const queue = [];
-let sending = false;
+/**
+ * One queue per delivery channel so a slow or failing
+ * channel never holds back the others.
+ */
+const channels = new Map(); // name -> { queue, sending, state }
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_MS = 2000;
+const MAX_RETRY_MS = 60000;
+
+function getChannel(name) {
+    if (!channels.has(name)) {
+        channels.set(name, {
+            queue: [],
+            sending: false,
+            state: {
+                sent: 0,
+                failed: 0,
+                dropped: 0,
+                consecutiveFailures: 0,
+                lastError: null,
+                lastSentAt: null,
+            },
+        });
+    }
+    return channels.get(name);
+}
 
 /**
  * Add alert to queue
+ * @param {string|object} msg - Plain message or AlertEvent
  */
 export function queueAlert(msg) {
-    queue.push(msg);
-    processQueue();
+    for (const notifier of getNotifiers()) {
+        // System messages (plain strings) skip the alert filters
+        if (typeof msg !== "string" && !matchesAlertFilter(msg, notifier.filter)) continue;
+
+        // Routed channels (e.g. subscribers) expand one alert into several targets
+        const targets = notifier.route ? notifier.route(msg) : [null];
+        if (targets.length === 0) continue;
+
+        const channel = getChannel(notifier.name);
+        for (const target of targets) {
+            channel.queue.push({ msg, target, attempts: 0 });
+        }
+        processQueue(notifier, channel);
+    }
 }
 
 /**
- * Process alerts slowly (anti-spam)
+ * Retry delay — honour rate-limit hints, else exponential backoff
  */
-async function processQueue() {
-    if (sending) return;
-    sending = true;
+function getRetryDelay(err, attempts) {
+    const retryAfter =
+        err.response?.data?.parameters?.retry_after || // Telegram
+        err.response?.data?.retry_after || // Discord
+        Number(err.response?.headers?.["retry-after"]);
+
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_MS);
+    return Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+}
 
-    while (queue.length > 0) {
-        const msg = queue.shift();
+/**
+ * Process a channel's alerts slowly (anti-spam)
+ */
+async function processQueue(notifier, channel) {
+    if (channel.sending) return;
+    channel.sending = true;
 
-        await sendAlert(msg);
+    while (channel.queue.length > 0) {
+        const item = channel.queue[0];
 
-        console.log("✅ Alert sent");
+        try {
+            await notifier.send(item.msg, item.target);
 
-        // wait 3 seconds between messages
-        await new Promise((r) => setTimeout(r, 3000));
-    }
+            channel.queue.shift();
+            channel.state.sent++;
+            channel.state.consecutiveFailures = 0;
+            channel.state.lastSentAt = Date.now();
+            console.log(`✅ Alert sent (${notifier.name})`);
 
-    sending = false;
-}
+            await new Promise((r) => setTimeout(r, notifier.intervalMs));
+        } catch (err) {
+            item.attempts++;
+            channel.state.failed++;
+            channel.state.consecutiveFailures++;
+            channel.state.lastError = err.message;
 
+            // Permanent failures (e.g. a subscriber blocked the bot) are never retried
+            if (err.permanent || item.attempts >= MAX_ATTEMPTS) {
+                channel.queue.shift();
+                channel.state.dropped++;
+                console.log(`❌ ${notifier.name}: dropped alert after ${item.attempts} attempts:`, err.message);
+                continue;
+            }
 
+            const delay = getRetryDelay(err, item.attempts);
+            console.log(`⚠️ ${notifier.name} send failed (attempt ${item.attempts}), retrying in ${delay}ms:`, err.message);
+            await new Promise((r) => setTimeout(r, delay));
+        }
+    }
 
+    channel.sending = false;
+}
 
+/**
+ * Per-channel delivery state (status output)
+ */
+export function getQueueStatus() {
+    return Object.fromEntries(
+        [...channels.entries()].map(([name, channel]) => [
+            name,
+            { pending: channel.queue.length, ...channel.state },
+        ])
+    );
+}
@@ -0,0 +1,269 @@
+/**
+ * ========================================
+ * 🖨️ ALERT RENDERERS
+ * ========================================
+ * Turn an AlertEvent (utils/alertEvent.js) into text for each sink
+ */
+
+import { getRiskLevel } from "./alphaScorer.js";
+
+const TRIGGER_EMOJI = {
+    big_single_buy: "🐳",
+    multi_whale: "🐋",
+    migration: "🎓",
+    whale_exit: "🚪",
+    new_pool: "🚀",
+};
+
+const TITLES = {
+    whale_buy: "MEME ALERT",
+    migration: "GRADUATION",
+    whale_exit: "WHALE EXIT",
+    new_pool: "NEW POOL",
+};
+
+const LINK_EMOJI = {
+    Dex: "🔗",
+    Chart: "📊",
+    BaseScan: "🦎",
+    Birdeye: "🦅",
+    RugCheck: "🔍",
+    Photon: "📱",
+};
+
+/**
+ * Markup per output format
+ */
+const STYLES = {
+    telegram: {
+        escape: (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"),
+        bold: (s) => `<b>${s}</b>`,
+        code: (s) => `<code>${s}</code>`,
+        link: (label, url) => `${label}: ${url}`,
+    },
+    markdown: {
+        escape: (s) => String(s).replace(/([\\`*_[\]])/g, "\\$1"),
+        bold: (s) => `**${s}**`,
+        code: (s) => `\`${s}\``,
+        link: (label, url) => `[${label}](${url})`,
+    },
+    slack: {
+        escape: (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"),
+        bold: (s) => `*${s}*`,
+        code: (s) => `\`${s}\``,
+        link: (label, url) => `<${url}|${label}>`,
+    },
+    text: {
+        escape: (s) => String(s),
+        bold: (s) => s,
+        code: (s) => s,
+        link: (label, url) => `${label}: ${url}`,
+    },
+};
+
+const usd = (n) => `$${Number(n || 0).toFixed(0)}`;
+const usdLong = (n) => `$${Number(n || 0).toLocaleString()}`;
+
+function formatAge(ageHours) {
+    if (ageHours === null) return "Unknown";
+    return ageHours < 1 ? `${Math.round(ageHours * 60)}m` : `${ageHours.toFixed(1)}h`;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function flowLine(flow) {
+    const sign = flow.netFlowUsd >= 0 ? "+" : "-";
+    return `🔁 Net Flow: ${sign}${usd(Math.abs(flow.netFlowUsd))} (${usd(flow.buyUsd)} in / ${usd(flow.sellUsd)} out)`;
+}
+
+/**
+ * Event-specific section under the trigger line
+ */
+function detailLines(event, { code, escape: e }) {
+    const flow = event.flow ? [flowLine(event.flow)] : [];
+
+    if (event.type === "whale_exit" && event.exit) {
+        const x = event.exit;
+        return [
+            `👛 Wallet: ${code(e(x.wallet))}`,
+            `🔴 Sold: ${usd(x.sellUsd)}${x.soldPercent !== null ? ` (${x.soldPercent}% of ${usd(x.boughtUsd)} bought)` : ""}`,
+            `⏱️ Since Alert: ${formatDuration((event.timestamp || Date.now()) - x.alertedAt)}`,
+            ...flow,
+        ];
+    }
+
+    if (event.type === "new_pool" && event.launch) {
+        const l = event.launch;
+        return [
+            `🏊 Pool: ${code(e(l.pool))}`,
+            `🏦 DEX: ${e(l.dex)}${l.stable ? " (stable)" : ""} | Quote: ${e(l.quote)}`,
+            `🧱 Block: ${l.block}`,
+        ];
+    }
+
+    if (event.type === "migration" && event.migration) {
+        const m = event.migration;
+        return [
+            `🏊 Pool: ${code(e(m.pool))}`,
+            `⏳ Time to Migrate: ${m.timeToMigrationMs !== null ? formatDuration(m.timeToMigrationMs) : "Unknown"}`,
+            ...(m.bondingCurveFill !== null ? [`📈 Curve Fill: ${m.bondingCurveFill}%`] : []),
+            ...(m.solRaised !== null ? [`💰 SOL Raised: ${m.solRaised.toFixed(1)}`] : []),
+        ];
+    }
+
+    return [
+        `💰 Latest Buy: ${usd(event.buyers.latestBuyUsd)}`,
+        `💼 Window Volume: ${usd(event.buyers.windowVolumeUsd)}`,
+        ...flow,
+    ];
+}
+
+function lpLockLine(lock) {
+    if (!lock.verified) return "🔒 LP Lock: Unverified";
+    if (!lock.isLocked) return "🔓 LP Lock: None";
+
+    const parts = [`${lock.lockPercentage}%`];
+    if (lock.burnedPercentage) parts.push(`${lock.burnedPercentage}% burned`);
+    if (lock.unlockDate) parts.push(`unlocks ${new Date(lock.unlockDate).toISOString().slice(0, 10)}`);
+    else if (lock.permanent) parts.push("permanent");
+
+    return `🔒 LP Lock: ${parts.join(" | ")}`;
+}
+
+function riskLines(risk) {
+    const lines = [];
+
+    if (risk.honeypot) {
+        lines.push(risk.honeypot.buyTax !== null
+            ? `💸 Tax: Buy ${risk.honeypot.buyTax}% / Sell ${risk.honeypot.sellTax}%`
+            : "💸 Tax: Unverified");
+    }
+
+    if (risk.rugcheck) {
+        const { grade, risks = [] } = risk.rugcheck;
+        lines.push(`⚠️ RugCheck: ${grade}${risks.length ? ` (${risks.join(", ")})` : ""}`);
+    }
+
+    if (risk.lpLock) {
+        lines.push(lpLockLine(risk.lpLock));
+    }
+
+    if (risk.holders?.holderCount > 0) {
+        const h = risk.holders;
+        lines.push(`👥 Holders: Top ${h.topHolderPercent}% | Top 10 ${h.top10Percent}%${h.isRisky ? " (centralized)" : ""}`);
+    }
+
+    if (risk.creator) {
+        lines.push(`👤 Creator: ${risk.creator.grade}${risk.creator.isKnownRugger ? " (known rugger)" : ""}`);
+    }
+
+    if (risk.bundle) {
+        const { isBundled, bundledPercent, wallets, funders, devBuyPercent } = risk.bundle;
+        const dev = devBuyPercent > 0 ? ` | Dev buy: ${devBuyPercent}%` : "";
+        lines.push(isBundled
+            ? `📦 Bundled: ${bundledPercent}% (${wallets} wallets, ${funders} funders)${dev}`
+            : `📦 Bundled: None (${bundledPercent}% bought at launch)${dev}`);
+    }
+
+    return lines;
+}
+
+/**
+ * Shared layout — every text format uses the same sections
+ */
+function renderText(event, style) {
+    const { escape: e, bold, code, link } = style;
+    const { token, trigger, market } = event;
+
+    const momentum = market.priceChange5m >= 0
+        ? `📈 +${market.priceChange5m}% (5m) | +${market.priceChange1h}% (1h)`
+        : `📉 ${market.priceChange5m}% (5m) | ${market.priceChange1h}% (1h)`;
+
+    const sections = [
+        [`🚨 ${bold(`${event.chain.toUpperCase()} ${TITLES[event.type] || "ALERT"}`)} 🚨`],
+        [
+            `🐸 ${bold(e(token.name))} ($${e(token.symbol)})`,
+            `📍 ${code(e(token.address))}`,
+        ],
+        [
+            `${TRIGGER_EMOJI[trigger.kind] || "🚨"} ${e(trigger.description)}`,
+            ...detailLines(event, style),
+            ...(event.score !== null && event.score !== undefined
+                ? [`⭐ Score: ${event.score}/100 | ${event.riskLevel || getRiskLevel(event.score)}`]
+                : []),
+        ],
+        [
+            `💧 Liquidity: ${usdLong(market.liquidity)}`,
+            `📊 Market Cap: ${usdLong(market.marketCap)}`,
+            `⏱️ Age: ${formatAge(market.ageHours)}`,
+            momentum,
+            ...(market.buys5m + market.sells5m > 0
+                ? [`🟢 ${market.buys5m}B / 🔴 ${market.sells5m}S (5m)`]
+                : []),
+            ...riskLines(event.risk),
+        ],
+        event.links.map((l) => `${LINK_EMOJI[l.label] || "🔗"} ${link(e(l.label), l.url)}`),
+    ];
+
+    return sections
+        .filter((lines) => lines.length > 0)
+        .map((lines) => lines.join("\n"))
+        .join("\n\n");
+}
+
+/**
+ * Telegram (parse_mode: HTML)
+ */
+export function renderTelegramHtml(event) {
+    return renderText(event, STYLES.telegram);
+}
+
+/**
+ * Markdown (Discord)
+ */
+export function renderMarkdown(event) {
+    return renderText(event, STYLES.markdown);
+}
+
+/**
+ * Slack mrkdwn
+ */
+export function renderSlackMrkdwn(event) {
+    return renderText(event, STYLES.slack);
+}
+
+/**
+ * Plain text (logs, email)
+ */
+export function renderPlainText(event) {
+    return renderText(event, STYLES.text);
+}
+
+/**
+ * JSON (webhooks, API)
+ */
+export function renderJson(event) {
+    return JSON.stringify(event);
+}
+
+const RENDERERS = {
+    telegram: renderTelegramHtml,
+    markdown: renderMarkdown,
+    slack: renderSlackMrkdwn,
+    text: renderPlainText,
+    json: renderJson,
+};
+
+/**
+ * Render an event for a sink format (telegram | markdown | slack | text | json)
+ */
+export function renderAlert(event, format = "text") {
+    const render = RENDERERS[format];
+    if (!render) throw new Error(`Unknown alert format: ${format}`);
+    return render(event);
+}
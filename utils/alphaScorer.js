@@ -5,12 +5,60 @@
  * Multi-factor scoring for token quality
  */
 
+/**
+ * Penalties / bonuses from the risk analyzers (missing = neutral)
+ */
+function riskAdjustment({ honeypot, rugcheck, holders, lpLock, creator }) {
+    let points = 0;
+
+    // Honeypot / tax (Base)
+    if (honeypot?.buyTax !== null && honeypot?.buyTax !== undefined) {
+        if (Math.max(honeypot.buyTax, honeypot.sellTax) > 5) points -= 5;
+    }
+
+    // RugCheck report score — lower is safer (Solana)
+    if (rugcheck?.score !== null && rugcheck?.score !== undefined) {
+        if (rugcheck.score >= 1000) points -= 10;
+        else if (rugcheck.score >= 500) points -= 5;
+    }
+
+    // Holder concentration (riskScore: higher = more centralized)
+    if (holders?.holderCount > 0) {
+        if (holders.riskScore >= 80) points -= 15;
+        else if (holders.riskScore >= 60) points -= 8;
+        else if (holders.riskScore <= 20) points += 3;
+    }
+
+    // LP lock
+    if (lpLock?.verified) {
+        if (!lpLock.isLocked) points -= 10;
+        else if (lpLock.lockPercentage >= 80) points += 5;
+        else if (lpLock.lockPercentage < 50) points -= 5;
+    }
+
+    // Creator history (Solana)
+    if (creator) {
+        if (creator.isKnownRugger) points -= 30;
+        else if (creator.trustScore < 40) points -= 15;
+        else if (creator.trustScore >= 80) points += 5;
+    }
+
+    return points;
+}
+
 /**
  * Calculate Alpha Score (0-100)
+ * @param {{ whaleCount: number, liquidity: number, marketCap: number,
+ *   sniperCount: number|null, honeypot?: object, rugcheck?: object, holders?: object,
+ *   lpLock?: object, creator?: object }} data
+ *   sniperCount null = launch not seen (Solana: bundle-window buyers);
+ *   analyzer outputs are optional
  */
 export function scoreToken(data) {
     const { whaleCount, liquidity, marketCap, sniperCount } = data;
 
+    if (data.honeypot?.isHoneypot) return 0;
+
     let score = 0;
 
     // ============ WHALE COUNT (35 points) ============
@@ -58,7 +106,9 @@ export function scoreToken(data) {
 
     // ============ SNIPER PENALTY (15 points) ============
     // Fewer snipers = better (means not heavily botted)
-    if (sniperCount === 0) {
+    if (sniperCount === null || sniperCount === undefined) {
+        score += 8; // Launch not seen — assume moderate
+    } else if (sniperCount === 0) {
         score += 15; // Clean launch
     } else if (sniperCount <= 2) {
         score += 12; // Minimal sniping
@@ -81,8 +131,11 @@ export function scoreToken(data) {
         score += 5; // Early alpha with validation
     }
 
-    // Cap at 100
-    return Math.min(score, 100);
+    // ============ RISK ANALYZERS ============
+    score += riskAdjustment(data);
+
+    // Clamp to 0-100
+    return Math.max(0, Math.min(score, 100));
 }
 
 /**
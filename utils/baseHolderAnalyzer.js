@@ -1,10 +1,39 @@
 import { ethers } from "ethers";
 import axios from "axios";
+import { getBaseProvider } from "./rpcManager.js";
+import { LOCK_CONTRACTS, findDeployBlock } from "./baseLPLockVerifier.js";
+import { getLaunch } from "../base/launchRegistry.js";
 
+/**
+ * ========================================
+ * 👥 BASE HOLDER ANALYZER
+ * ========================================
+ * Rebuilds balances from Transfer logs (creation block → head)
+ * and scores holder concentration
+ */
 
-
+const rpcProvider = getBaseProvider();
 const holderCache = new Map();
 
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+
+// Never counted as holders (LP pools are added per token)
+const EXCLUDED_HOLDERS = new Set([
+    "0x000000000000000000000000000000000000dead",
+    "0x0000000000000000000000000000000000000000",
+    ...Object.values(LOCK_CONTRACTS).map((a) => a.toLowerCase()),
+]);
+
+const LOG_CHUNK_BLOCKS = 2000;
+const MIN_LOG_CHUNK_BLOCKS = 100;
+const MAX_INDEX_BLOCKS = 500000; // ~11 days of Base blocks
+const MAX_INDEXED_TOKENS = 100;
+const LAUNCH_LOOKBACK_BLOCKS = 43200; // ~1 day: meme tokens deploy shortly before their pool
+
+// token -> { creationBlock, nextBlock, balances: Map<address, bigint> }
+const balanceIndex = new Map();
+const indexing = new Map(); // token -> in-flight update
+
 // ERC20 ABI for balanceOf
 const ERC20_ABI = [
     "function balanceOf(address) view returns (uint256)",
@@ -12,7 +41,10 @@ const ERC20_ABI = [
 ];
 
 
-export async function analyzeBaseHolders(tokenAddress, provider) {
+/**
+ * Analyze holder concentration for a Base token
+ */
+export async function analyzeBaseHolders(tokenAddress, provider = rpcProvider) {
     try {
         // Check cache (5 min)
         if (holderCache.has(tokenAddress)) {
@@ -39,11 +71,8 @@ export async function analyzeBaseHolders(tokenAddress, provider) {
             };
         }
 
-        // Try to get holder info from Basescan API
-        // Note: Requires Basescan API key for best results
-        // For now, we'll use a simplified approach with known addresses
-
-        const topHolders = await getTopHoldersFromDexScreener(tokenAddress);
+        const holders = await getTopHolders(tokenAddress, totalSupply, provider);
+        const topHolders = holders?.percents;
 
         if (!topHolders || topHolders.length === 0) {
             // Fallback: check liquidity pool balance as approximation
@@ -92,7 +121,7 @@ export async function analyzeBaseHolders(tokenAddress, provider) {
 
         const result = {
             riskScore,
-            holderCount: topHolders.length,
+            holderCount: holders.holderCount,
             topHolderPercent: parseFloat(top1.toFixed(2)),
             top5Percent: parseFloat(top5.toFixed(2)),
             top10Percent: parseFloat(top10.toFixed(2)),
@@ -122,22 +151,124 @@ export async function analyzeBaseHolders(tokenAddress, provider) {
 }
 
 /**
- * Get top holders from DexScreener token info
- * This is a simplified approach - real implementation would use Basescan API
+ * LP pools holding the token (their balance is liquidity, not a holder)
  */
-async function getTopHoldersFromDexScreener(tokenAddress) {
+async function getPairAddresses(tokenAddress) {
     try {
         const response = await axios.get(
             `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`,
             { timeout: 5000 }
         );
 
-        const pair = response.data?.pairs?.[0];
-        if (!pair) return null;
+        return (response.data?.pairs || [])
+            .filter((p) => p.chainId === "base")
+            .map((p) => p.pairAddress.toLowerCase());
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Block to index the token from: a day before its launch pool when
+ * the launch registry saw it, else its deploy block (binary search)
+ */
+async function findCreationBlock(tokenAddress, latest) {
+    const launch = getLaunch(tokenAddress);
+    if (launch) return Math.max(launch.block - LAUNCH_LOOKBACK_BLOCKS, 0);
 
+    return findDeployBlock(tokenAddress, latest);
+}
 
-        return null;
+/**
+ * Apply Transfer logs in chunks, halving the range when the RPC
+ * rejects it (providers cap log ranges / result sizes)
+ */
+async function indexTransfers(tokenAddress, index, provider, toBlock) {
+    let chunk = LOG_CHUNK_BLOCKS;
+
+    while (index.nextBlock <= toBlock) {
+        const end = Math.min(index.nextBlock + chunk - 1, toBlock);
+
+        let logs;
+        try {
+            logs = await provider.getLogs({
+                address: tokenAddress,
+                topics: [TRANSFER_TOPIC],
+                fromBlock: index.nextBlock,
+                toBlock: end,
+            });
+        } catch (err) {
+            if (chunk <= MIN_LOG_CHUNK_BLOCKS) throw err;
+            chunk = Math.floor(chunk / 2);
+            continue;
+        }
+
+        for (const log of logs) {
+            if (log.topics.length !== 3) continue; // not an ERC-20 Transfer
+
+            const from = ethers.dataSlice(log.topics[1], 12).toLowerCase();
+            const to = ethers.dataSlice(log.topics[2], 12).toLowerCase();
+            const value = BigInt(log.data);
+
+            index.balances.set(from, (index.balances.get(from) || 0n) - value);
+            index.balances.set(to, (index.balances.get(to) || 0n) + value);
+        }
+
+        index.nextBlock = end + 1;
+    }
+}
+
+/**
+ * Bring a token's balance index up to the chain head
+ * (incremental — later calls only read new blocks)
+ */
+async function updateBalanceIndex(tokenAddress, provider) {
+    const latest = await provider.getBlockNumber();
+    let index = balanceIndex.get(tokenAddress);
+
+    if (!index) {
+        const creationBlock = await findCreationBlock(tokenAddress, latest);
+        if (latest - creationBlock > MAX_INDEX_BLOCKS) {
+            throw new Error("token too old to index from logs");
+        }
+
+        index = { creationBlock, nextBlock: creationBlock, balances: new Map() };
+
+        if (balanceIndex.size >= MAX_INDEXED_TOKENS) {
+            balanceIndex.delete(balanceIndex.keys().next().value);
+        }
+    }
+
+    await indexTransfers(tokenAddress, index, provider, latest);
+    balanceIndex.set(tokenAddress, index);
+    return index;
+}
+
+/**
+ * Top holder percentages (desc) and holder count from indexed balances
+ */
+async function getTopHolders(tokenAddress, totalSupply, provider) {
+    const token = tokenAddress.toLowerCase();
+
+    try {
+        if (!indexing.has(token)) {
+            indexing.set(token, updateBalanceIndex(token, provider).finally(() => indexing.delete(token)));
+        }
+
+        const [index, pairs] = await Promise.all([indexing.get(token), getPairAddresses(token)]);
+        const excluded = new Set([...EXCLUDED_HOLDERS, ...pairs]);
+
+        const balances = [...index.balances.entries()]
+            .filter(([address, balance]) => balance > 0n && !excluded.has(address))
+            .map(([, balance]) => balance)
+            .sort((a, b) => (b > a ? 1 : b < a ? -1 : 0));
+
+        return {
+            holderCount: balances.length,
+            percents: balances.slice(0, 10).map((b) => Number((b * 1000000n) / totalSupply) / 10000),
+        };
     } catch (err) {
+        console.log("⚠️  Base holder indexing failed:", err.message);
         return null;
     }
 }
@@ -1,5 +1,7 @@
 import axios from "axios";
 import { ethers } from "ethers";
+import { getBaseProvider } from "./rpcManager.js";
+import { getLaunchByPool } from "../base/launchRegistry.js";
 
 /**
  * ========================================
@@ -8,15 +10,143 @@ import { ethers } from "ethers";
  * Checks if liquidity is locked on Base chain
  */
 
+const provider = getBaseProvider();
 const lockCache = new Map();
 
 // Common LP lock contracts on Base
-const LOCK_CONTRACTS = {
+export const LOCK_CONTRACTS = {
     TEAM_FINANCE: "0xC77aab3c6D7dAb46248F3CC3033C856171878BD5", // Team Finance
     UNCX: "0x231278eDd38B00B07fBd52120CEf685B9BaEBCC1", // UNCX Network
     PINK_LOCK: "0x71B5759d73262FBb223956913ecF4ecC51057641", // PinkLock
 };
 
+const BURN_ADDRESSES = [
+    "0x000000000000000000000000000000000000dEaD",
+    "0x0000000000000000000000000000000000000000",
+];
+
+const LP_ABI = [
+    "function totalSupply() view returns (uint256)",
+    "function balanceOf(address) view returns (uint256)",
+];
+
+const CL_POOL_ABI = [
+    "function factory() view returns (address)",
+    "function token0() view returns (address)",
+    "function token1() view returns (address)",
+    "function liquidity() view returns (uint128)",
+    "function slot0() view returns (uint160 sqrtPriceX96, int24 tick)",
+];
+
+// Concentrated-liquidity pools: LP is a position NFT, keyed by factory.
+// positions() differs only in slot 4 (fee vs tickSpacing).
+const POSITION_MANAGERS = {
+    // Uniswap V3
+    "0x33128a8fc17869897dce68ed026d694621f6fdfd": {
+        dex: "uniswap_v3",
+        address: "0x03a520b32C04BF3bEEf7BEb72E919cf822Ed34f1",
+        poolKey: "function fee() view returns (uint24)",
+        positions: "function positions(uint256) view returns (uint96 nonce, address operator, address token0, address token1, uint24 poolKey, int24 tickLower, int24 tickUpper, uint128 liquidity)",
+    },
+    // Aerodrome Slipstream
+    "0x5e7bb104d84c7cb9b682aac2f3d509f5f406809a": {
+        dex: "slipstream",
+        address: "0x827922686190790b37229fd06084350E74485b72",
+        poolKey: "function tickSpacing() view returns (int24)",
+        positions: "function positions(uint256) view returns (uint96 nonce, address operator, address token0, address token1, int24 poolKey, int24 tickLower, int24 tickUpper, uint128 liquidity)",
+    },
+};
+
+// Lockers can hold thousands of records — cap the RPC work
+const MAX_RECORDS = 50;
+
+// CL pool Mint — owner is the position manager for NFT positions
+const CL_MINT_TOPIC = ethers.id("Mint(address,address,int24,int24,uint128,uint256,uint256)");
+const INCREASE_LIQUIDITY_TOPIC = ethers.id("IncreaseLiquidity(uint256,uint128,uint256,uint256)");
+
+const LOG_CHUNK_BLOCKS = 10000;
+const MIN_LOG_CHUNK_BLOCKS = 500;
+const MAX_INDEX_BLOCKS = 500000; // ~11 days of Base blocks
+const MAX_INDEXED_POOLS = 200;
+
+// pool -> { nextBlock, tokenIds: Set<bigint> } — position NFTs minted into the pool
+const positionIndex = new Map();
+
+const toPercent = (amount, total) => Number((amount * 10000n) / total) / 100;
+
+/**
+ * Lock record readers: active { amount, unlockDate } entries
+ * each locker holds for an LP token
+ */
+const LOCK_READERS = {
+    async UNCX(locker, lpToken) {
+        const c = new ethers.Contract(locker, [
+            "function getNumLocksForToken(address) view returns (uint256)",
+            "function tokenLocks(address, uint256) view returns (uint256 lockDate, uint256 amount, uint256 initialAmount, uint256 unlockDate, uint256 lockID, address owner)",
+        ], provider);
+
+        const count = Math.min(Number(await c.getNumLocksForToken(lpToken)), MAX_RECORDS);
+        const records = [];
+        for (let i = 0; i < count; i++) {
+            const lock = await c.tokenLocks(lpToken, i);
+            records.push({ amount: lock.amount, unlockDate: Number(lock.unlockDate) * 1000 });
+        }
+        return records;
+    },
+
+    async TEAM_FINANCE(locker, lpToken) {
+        const c = new ethers.Contract(locker, [
+            "function getDepositsByTokenAddress(address) view returns (uint256[])",
+            "function lockedToken(uint256) view returns (address tokenAddress, address withdrawalAddress, uint256 tokenAmount, uint256 unlockTime, bool withdrawn)",
+        ], provider);
+
+        const ids = (await c.getDepositsByTokenAddress(lpToken)).slice(0, MAX_RECORDS);
+        const records = [];
+        for (const id of ids) {
+            const deposit = await c.lockedToken(id);
+            if (deposit.withdrawn) continue;
+            records.push({ amount: deposit.tokenAmount, unlockDate: Number(deposit.unlockTime) * 1000 });
+        }
+        return records;
+    },
+
+    async PINK_LOCK(locker, lpToken) {
+        const c = new ethers.Contract(locker, [
+            "function totalLockCountForToken(address) view returns (uint256)",
+            "function getLocksForToken(address, uint256 start, uint256 end) view returns (tuple(uint256 id, address token, address owner, uint256 amount, uint256 lockDate, uint256 tgeDate, uint256 tgeBps, uint256 cycle, uint256 cycleBps, uint256 unlockedAmount, string description)[])",
+        ], provider);
+
+        const count = Math.min(Number(await c.totalLockCountForToken(lpToken)), MAX_RECORDS);
+        if (count === 0) return [];
+
+        const locks = await c.getLocksForToken(lpToken, 0, count - 1);
+        return locks.map((lock) => ({
+            amount: lock.amount - lock.unlockedAmount,
+            unlockDate: Number(lock.tgeDate) * 1000,
+        }));
+    },
+};
+
+/**
+ * Earliest future unlock among a locker's records
+ * @returns {{ active: boolean, unlockDate: number|null }}
+ */
+async function readUnlockDate(lockerName, locker, lpToken) {
+    try {
+        const live = (await LOCK_READERS[lockerName](locker, lpToken))
+            .filter((r) => r.amount > 0n && r.unlockDate > Date.now());
+
+        return {
+            active: live.length > 0,
+            unlockDate: live.length ? Math.min(...live.map((r) => r.unlockDate)) : null,
+        };
+    } catch (err) {
+        // Balance is still there — count it, unlock date unknown
+        console.log(`⚠️  ${lockerName} lock records unreadable:`, err.message);
+        return { active: true, unlockDate: null };
+    }
+}
+
 /**
  * Verify LP lock status for Base tokens
  */
@@ -35,6 +165,7 @@ export async function verifyBaseLPLock(tokenAddress, pairAddress) {
 
         if (!dexInfo) {
             return {
+                verified: false,
                 isLocked: false,
                 lockPercentage: 0,
                 unlockDate: null,
@@ -44,18 +175,27 @@ export async function verifyBaseLPLock(tokenAddress, pairAddress) {
             };
         }
 
-        // Check if LP tokens are in known lock contracts
+        // Check if LP tokens are burned or in known lock contracts
+        pairAddress = pairAddress || dexInfo.pairAddress;
         const lockInfo = await checkLockContracts(pairAddress);
 
         // Calculate safety
         let safetyScore = 0;
         let reasons = [];
 
-        if (lockInfo.isLocked) {
+        if (lockInfo.isBurned) {
+            safetyScore += 80;
+            reasons.push("LP BURNED (permanent)");
+        } else if (lockInfo.isLocked) {
             safetyScore += 50;
-            reasons.push(`${lockInfo.lockPercentage.toFixed(0)}% locked`);
+            reasons.push(lockInfo.burnedPercentage
+                ? `${lockInfo.lockPercentage.toFixed(0)}% locked (${lockInfo.burnedPercentage.toFixed(0)}% burned)`
+                : `${lockInfo.lockPercentage.toFixed(0)}% locked`);
 
-            if (lockInfo.unlockDate) {
+            if (lockInfo.permanent) {
+                safetyScore += 30;
+                reasons.push("Burned (permanent)");
+            } else if (lockInfo.unlockDate) {
                 const daysUntilUnlock =
                     (lockInfo.unlockDate - Date.now()) / (1000 * 60 * 60 * 24);
 
@@ -77,14 +217,10 @@ export async function verifyBaseLPLock(tokenAddress, pairAddress) {
                 safetyScore += 20;
                 reasons.push("Most LP locked");
             }
+        } else if (!lockInfo.verified) {
+            reasons.push("LP lock unverified");
         } else {
-            // Check if LP is burned
-            if (lockInfo.isBurned) {
-                safetyScore += 80;
-                reasons.push("LP BURNED (permanent)");
-            } else {
-                reasons.push("❌ NO LP LOCK/BURN DETECTED");
-            }
+            reasons.push("❌ NO LP LOCK/BURN DETECTED");
         }
 
         // Liquidity amount matters
@@ -98,10 +234,16 @@ export async function verifyBaseLPLock(tokenAddress, pairAddress) {
         const isSafe = safetyScore >= 60;
 
         const result = {
-            isLocked: lockInfo.isLocked || lockInfo.isBurned,
+            verified: lockInfo.verified,
+            isLocked: lockInfo.isLocked,
             lockPercentage: lockInfo.lockPercentage,
+            burnedPercentage: lockInfo.burnedPercentage,
             isBurned: lockInfo.isBurned,
             unlockDate: lockInfo.unlockDate,
+            permanent: lockInfo.permanent,
+            poolType: lockInfo.poolType,
+            locks: lockInfo.locks,
+            pairAddress,
             liquidityUsd: dexInfo.liquidity,
             isSafe,
             safetyScore,
@@ -109,15 +251,19 @@ export async function verifyBaseLPLock(tokenAddress, pairAddress) {
             grade: getLockGrade(safetyScore),
         };
 
-        lockCache.set(tokenAddress, {
-            data: result,
-            timestamp: Date.now(),
-        });
+        // Only cache real answers — RPC failures are retried next time
+        if (lockInfo.verified) {
+            lockCache.set(tokenAddress, {
+                data: result,
+                timestamp: Date.now(),
+            });
+        }
 
         return result;
     } catch (err) {
         console.log("⚠️  Base LP lock check failed:", err.message);
         return {
+            verified: false,
             isLocked: false,
             lockPercentage: 0,
             unlockDate: null,
@@ -157,41 +303,232 @@ async function getDexScreenerInfo(tokenAddress) {
 }
 
 /**
- * Check known lock contracts
+ * V2-style pools (Uniswap V2, Aerodrome, BaseSwap): LP is an ERC20
+ */
+async function checkV2Locks(pairAddress) {
+    const lp = new ethers.Contract(pairAddress, LP_ABI, provider);
+    const total = await lp.totalSupply();
+    if (total === 0n) return { poolType: "v2", locks: [] };
+
+    const locks = [];
+
+    for (const address of BURN_ADDRESSES) {
+        const amount = await lp.balanceOf(address);
+        if (amount > 0n) locks.push({ type: "burn", holder: address, amount, unlockDate: null });
+    }
+
+    for (const [name, locker] of Object.entries(LOCK_CONTRACTS)) {
+        const amount = await lp.balanceOf(locker);
+        if (amount === 0n) continue;
+
+        const { active, unlockDate } = await readUnlockDate(name, locker, pairAddress);
+        if (active) locks.push({ type: name.toLowerCase(), holder: locker, amount, unlockDate });
+    }
+
+    return { poolType: "v2", total, locks };
+}
+
+// Pruned (non-archive) nodes reject state reads at old blocks
+const HISTORICAL_STATE_ERROR = /missing trie node|header not found|historical state|state.*(not available|unavailable|pruned)|archive/i;
+let archiveWarned = false;
+
+/**
+ * First block where a contract has code (binary search over
+ * getCode at past blocks — needs an archive BASE_RPC)
+ */
+export async function findDeployBlock(address, latest) {
+    let low = 0;
+    let high = latest;
+
+    try {
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            const code = await provider.getCode(address, mid);
+            if (code && code !== "0x") high = mid;
+            else low = mid + 1;
+        }
+        return low;
+    } catch (err) {
+        if (!HISTORICAL_STATE_ERROR.test(err.message || "")) throw err;
+
+        if (!archiveWarned) {
+            archiveWarned = true;
+            console.log("⚠️ BASE_RPC can't serve historical state — contracts launched before the factory watcher can't be indexed (needs an archive endpoint)");
+        }
+        throw new Error("creation block unavailable (BASE_RPC is not an archive node)");
+    }
+}
+
+/**
+ * First block where the pool has code — launch registry first, else binary search
+ */
+async function findPoolCreationBlock(pairAddress, latest) {
+    const launch = getLaunchByPool(pairAddress);
+    if (launch?.pool === pairAddress.toLowerCase()) return launch.block;
+
+    return findDeployBlock(pairAddress, latest);
+}
+
+/**
+ * Position NFTs minted into a pool, from the pool's own Mint logs
+ * (incremental — later calls only read new blocks)
+ */
+async function indexPoolPositions(pairAddress, manager) {
+    const pool = pairAddress.toLowerCase();
+    const latest = await provider.getBlockNumber();
+    let index = positionIndex.get(pool);
+
+    if (!index) {
+        const creationBlock = await findPoolCreationBlock(pool, latest);
+        if (latest - creationBlock > MAX_INDEX_BLOCKS) {
+            throw new Error("pool too old to index from logs");
+        }
+        index = { nextBlock: creationBlock, tokenIds: new Set() };
+    }
+
+    const ownerTopic = ethers.zeroPadValue(manager.address, 32);
+    const mintTxs = new Set();
+    let chunk = LOG_CHUNK_BLOCKS;
+
+    while (index.nextBlock <= latest) {
+        const end = Math.min(index.nextBlock + chunk - 1, latest);
+
+        let logs;
+        try {
+            logs = await provider.getLogs({
+                address: pool,
+                topics: [CL_MINT_TOPIC, ownerTopic],
+                fromBlock: index.nextBlock,
+                toBlock: end,
+            });
+        } catch (err) {
+            if (chunk <= MIN_LOG_CHUNK_BLOCKS) throw err;
+            chunk = Math.floor(chunk / 2);
+            continue;
+        }
+
+        for (const log of logs) mintTxs.add(log.transactionHash);
+        index.nextBlock = end + 1;
+    }
+
+    // The manager's IncreaseLiquidity in the same tx names the token id
+    for (const hash of mintTxs) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        for (const log of receipt?.logs || []) {
+            if (log.address.toLowerCase() !== manager.address.toLowerCase()) continue;
+            if (log.topics[0] !== INCREASE_LIQUIDITY_TOPIC) continue;
+            index.tokenIds.add(BigInt(log.topics[1]));
+        }
+    }
+
+    if (!positionIndex.has(pool) && positionIndex.size >= MAX_INDEXED_POOLS) {
+        positionIndex.delete(positionIndex.keys().next().value);
+    }
+    positionIndex.set(pool, index);
+    return index;
+}
+
+/**
+ * Concentrated-liquidity pools (Uniswap V3, Slipstream): sum the
+ * in-range liquidity of the pool's position NFTs now held by
+ * lockers / burn addresses
+ */
+async function checkPositionLocks(pairAddress, manager) {
+    const pool = new ethers.Contract(pairAddress, [...CL_POOL_ABI, manager.poolKey], provider);
+    const [token0, token1, poolKey, total, slot0] = await Promise.all([
+        pool.token0(),
+        pool.token1(),
+        manager.poolKey.includes("fee()") ? pool.fee() : pool.tickSpacing(),
+        pool.liquidity(),
+        pool.slot0(),
+    ]);
+    if (total === 0n) return { poolType: manager.dex, locks: [] };
+
+    const npm = new ethers.Contract(manager.address, [
+        "function ownerOf(uint256) view returns (address)",
+        manager.positions,
+    ], provider);
+
+    // ERC-721 transfers to 0x0 are burns of empty positions, so only dEaD counts
+    const holders = new Map([
+        [BURN_ADDRESSES[0].toLowerCase(), "BURN"],
+        ...Object.entries(LOCK_CONTRACTS).map(([name, address]) => [address.toLowerCase(), name]),
+    ]);
+
+    const { tokenIds } = await indexPoolPositions(pairAddress, manager);
+    const amounts = new Map(); // holder -> liquidity
+
+    for (const tokenId of tokenIds) {
+        const owner = await npm.ownerOf(tokenId).then((o) => o.toLowerCase()).catch(() => null);
+        if (!owner || !holders.has(owner)) continue; // burned NFT or not locked
+
+        const pos = await npm.positions(tokenId);
+        const samePool = pos.token0 === token0 && pos.token1 === token1 && pos.poolKey === poolKey;
+        const inRange = pos.tickLower <= slot0.tick && slot0.tick < pos.tickUpper;
+        if (samePool && inRange) amounts.set(owner, (amounts.get(owner) || 0n) + pos.liquidity);
+    }
+
+    const locks = [...amounts.entries()]
+        .filter(([, amount]) => amount > 0n)
+        .map(([holder, amount]) => {
+            const name = holders.get(holder);
+            return { type: name === "BURN" ? "burn" : name.toLowerCase(), holder, amount, unlockDate: null };
+        });
+
+    return { poolType: manager.dex, total, locks };
+}
+
+/**
+ * Check LP burns and known lock contracts
  */
 async function checkLockContracts(pairAddress) {
+    const notLocked = {
+        verified: false,
+        isLocked: false,
+        isBurned: false,
+        lockPercentage: 0,
+        burnedPercentage: 0,
+        unlockDate: null,
+        permanent: false,
+        locks: [],
+    };
+
+    if (!pairAddress) return notLocked;
+
     try {
-        // Check if LP tokens are in burn address
-        const BURN_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+        // CL pools expose factory(); V2 pairs from other factories fall through
+        const factory = await new ethers.Contract(pairAddress, CL_POOL_ABI, provider)
+            .factory()
+            .then((f) => f.toLowerCase())
+            .catch(() => null);
+        const manager = factory && POSITION_MANAGERS[factory];
 
-        // For production, you'd check LP token balances at lock contracts
-        // This is a simplified version
+        const { poolType, total, locks } = manager
+            ? await checkPositionLocks(pairAddress, manager)
+            : await checkV2Locks(pairAddress);
 
-        // Default to not locked for now
-        // Real implementation would query lock contracts via RPC
-        return {
-            isLocked: false,
-            isBurned: false,
-            lockPercentage: 0,
-            unlockDate: null,
-        };
+        const result = { ...notLocked, verified: true, poolType };
+        if (!total) return result;
+
+        const sum = (list) => list.reduce((acc, l) => acc + l.amount, 0n);
+        const burns = locks.filter((l) => l.type === "burn");
+        const timed = locks.filter((l) => l.unlockDate);
+
+        result.lockPercentage = Math.min(toPercent(sum(locks), total), 100);
+        result.burnedPercentage = Math.min(toPercent(sum(burns), total), 100);
+        result.isLocked = result.lockPercentage > 0;
+        result.isBurned = result.burnedPercentage >= 90;
+        result.unlockDate = timed.length ? Math.min(...timed.map((l) => l.unlockDate)) : null;
+        result.permanent = result.isLocked && burns.length === locks.length;
+        result.locks = locks.map(({ amount, ...lock }) => ({
+            ...lock,
+            percentage: toPercent(amount, total),
+        }));
 
-        // Real implementation example:
-        // const lpToken = new ethers.Contract(pairAddress, ERC20_ABI, provider);
-        // const burnBalance = await lpToken.balanceOf(BURN_ADDRESS);
-        // const totalSupply = await lpToken.totalSupply();
-        // const burnedPercent = (burnBalance / totalSupply) * 100;
-        // return {
-        //     isBurned: burnedPercent > 90,
-        //     lockPercentage: burnedPercent
-        // };
+        return result;
     } catch (err) {
-        return {
-            isLocked: false,
-            isBurned: false,
-            lockPercentage: 0,
-            unlockDate: null,
-        };
+        console.log("⚠️  Base LP lock contracts check failed:", err.message);
+        return notLocked;
     }
 }
 
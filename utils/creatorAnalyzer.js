@@ -1,6 +1,7 @@
-import { Connection, PublicKey } from "@solana/web3.js";
+import { PublicKey } from "@solana/web3.js";
 import axios from "axios";
-import { CONFIG } from "../config.js";
+import { getSolanaConnection } from "./rpcManager.js";
+import { getParsedTransactions } from "./rpcPool.js";
 
 /**
  * ========================================
@@ -9,7 +10,7 @@ import { CONFIG } from "../config.js";
  * Checks if creator is a serial rugger or legitimate dev
  */
 
-const connection = new Connection(CONFIG.SOLANA_RPC, "confirmed");
+const connection = getSolanaConnection();
 
 // Cache creator analysis
 const creatorCache = new Map();
@@ -75,35 +76,29 @@ export async function analyzeCreatorHistory(mint) {
         let tokenMints = 0;
         let suspiciousActivity = 0;
 
-        for (const sig of signatures.slice(0, 50)) {
-            try {
-                const tx = await connection.getParsedTransaction(sig.signature, {
-                    maxSupportedTransactionVersion: 0,
-                });
-
-                if (!tx?.meta) continue;
-
-                // Look for token mint instructions
-                const instructions = tx.transaction.message.instructions;
-                for (const ix of instructions) {
-                    if (ix.program === "spl-token") {
-                        const parsed = ix.parsed;
-                        if (parsed?.type === "initializeMint") {
-                            tokenMints++;
-                        }
+        const txs = await getParsedTransactions(
+            connection,
+            signatures.slice(0, 50).map((sig) => sig.signature)
+        );
+
+        for (const tx of txs) {
+            if (!tx?.meta) continue;
+
+            // Look for token mint instructions
+            const instructions = tx.transaction.message.instructions;
+            for (const ix of instructions) {
+                if (ix.program === "spl-token") {
+                    const parsed = ix.parsed;
+                    if (parsed?.type === "initializeMint") {
+                        tokenMints++;
                     }
                 }
+            }
 
-                // Check for suspicious patterns
-                // Failed transactions = possible rug attempts
-                if (tx.meta.err) {
-                    suspiciousActivity++;
-                }
-
-                // Add small delay to avoid rate limits
-                await new Promise((r) => setTimeout(r, 200));
-            } catch (err) {
-                // Skip errors
+            // Check for suspicious patterns
+            // Failed transactions = possible rug attempts
+            if (tx.meta.err) {
+                suspiciousActivity++;
             }
         }
 
@@ -0,0 +1,62 @@
+/**
+ * ========================================
+ * 🎛️ ENGINE CONTROL
+ * ========================================
+ * Operator switches (muted tokens, paused chains) set from chat
+ */
+
+import { registerCollection, markDirty } from "../services/store.js";
+
+const mutedTokens = new Set();
+const pausedChains = new Set();
+
+registerCollection("engineControl", {
+    dump: () => ({
+        mutedTokens: [...mutedTokens],
+        pausedChains: [...pausedChains],
+    }),
+    restore: (data) => {
+        for (const token of data.mutedTokens || []) mutedTokens.add(token);
+        for (const chain of data.pausedChains || []) pausedChains.add(chain);
+    },
+});
+
+// Base addresses are tracked lowercase, Solana mints are case-sensitive
+const normalize = (token) => (token.startsWith("0x") ? token.toLowerCase() : token);
+
+export function muteToken(token) {
+    mutedTokens.add(normalize(token));
+    markDirty("engineControl");
+}
+
+export function unmuteToken(token) {
+    const removed = mutedTokens.delete(normalize(token));
+    markDirty("engineControl");
+    return removed;
+}
+
+export function isMuted(token) {
+    return mutedTokens.has(normalize(token));
+}
+
+export function pauseChain(chain) {
+    pausedChains.add(chain);
+    markDirty("engineControl");
+}
+
+export function resumeChain(chain) {
+    const removed = pausedChains.delete(chain);
+    markDirty("engineControl");
+    return removed;
+}
+
+export function isPaused(chain) {
+    return pausedChains.has(chain);
+}
+
+export function getControlState() {
+    return {
+        mutedTokens: [...mutedTokens],
+        pausedChains: [...pausedChains],
+    };
+}
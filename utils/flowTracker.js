@@ -0,0 +1,187 @@
+/**
+ * ========================================
+ * 🔁 FLOW TRACKER
+ * ========================================
+ * Rolling buy/sell volume per token, net flow per wallet and
+ * early-buyer exits after a token has been alerted
+ */
+
+import { CONFIG } from "../config.js";
+import { registerCollection, markDirty } from "../services/store.js";
+
+const flows = new Map(); // "chain:token" -> { trades, wallets, alertedAt, earlyBuyers, exited }
+
+// Net-flow / exit thresholds live in CONFIG.flow, windows in CONFIG[chain].windowMs
+
+registerCollection("flowTracker", {
+    dump: () => [...flows.entries()].map(([key, flow]) => [
+        key,
+        { ...flow, wallets: [...flow.wallets.entries()], exited: [...flow.exited] },
+    ]),
+    restore: (data) => {
+        for (const [key, flow] of data || []) {
+            flows.set(key, { ...flow, wallets: new Map(flow.wallets), exited: new Set(flow.exited) });
+        }
+    },
+});
+
+const flowKey = (chain, token) => `${chain}:${token}`;
+
+function getEntry(chain, token) {
+    const key = flowKey(chain, token);
+    if (!flows.has(key)) {
+        flows.set(key, {
+            trades: [], // { wallet, side, usd, time } inside the window
+            wallets: new Map(), // wallet -> { boughtUsd, soldUsd, firstBuyAt }
+            alertedAt: null,
+            earlyBuyers: [],
+            exited: new Set(),
+        });
+    }
+    return flows.get(key);
+}
+
+function pruneTrades(chain, entry, now = Date.now()) {
+    const windowMs = CONFIG[chain].windowMs;
+    entry.trades = entry.trades.filter((t) => now - t.time <= windowMs);
+}
+
+/**
+ * Record a whale-sized buy or sell
+ * @param {"base"|"solana"} chain
+ * @param {"buy"|"sell"} side
+ * @returns {object} Window flow after this trade
+ */
+export function recordTrade(chain, token, wallet, side, usd) {
+    const entry = getEntry(chain, token);
+    const now = Date.now();
+
+    entry.trades.push({ wallet, side, usd, time: now });
+    pruneTrades(chain, entry, now);
+
+    const position = entry.wallets.get(wallet) || { boughtUsd: 0, soldUsd: 0, firstBuyAt: null };
+    if (side === "buy") {
+        position.boughtUsd += usd;
+        position.firstBuyAt ??= now;
+    } else {
+        position.soldUsd += usd;
+    }
+    entry.wallets.set(wallet, position);
+
+    markDirty("flowTracker");
+    return getFlow(chain, token);
+}
+
+/**
+ * Has this token seen a whale buy (sells elsewhere are ignored)
+ */
+export function isTracked(chain, token) {
+    return flows.has(flowKey(chain, token));
+}
+
+/**
+ * Rolling buy/sell volume and net flow inside the chain's window
+ */
+export function getFlow(chain, token) {
+    const entry = flows.get(flowKey(chain, token));
+    const trades = entry
+        ? entry.trades.filter((t) => Date.now() - t.time <= CONFIG[chain].windowMs)
+        : [];
+
+    const buys = trades.filter((t) => t.side === "buy");
+    const sells = trades.filter((t) => t.side === "sell");
+    const sum = (list) => list.reduce((total, t) => total + t.usd, 0);
+
+    return {
+        buyUsd: sum(buys),
+        sellUsd: sum(sells),
+        netFlowUsd: sum(buys) - sum(sells),
+        buys: buys.length,
+        sells: sells.length,
+        buyers: new Set(buys.map((t) => t.wallet)).size,
+        sellers: new Set(sells.map((t) => t.wallet)).size,
+    };
+}
+
+/**
+ * A wallet's net flow on a token since it was first seen
+ */
+export function getWalletFlow(chain, token, wallet) {
+    const position = flows.get(flowKey(chain, token))?.wallets.get(wallet);
+    if (!position) return null;
+    return { ...position, netUsd: position.boughtUsd - position.soldUsd };
+}
+
+/**
+ * Snapshot the early buyers when a token is alerted
+ */
+export function markAlerted(chain, token) {
+    const entry = getEntry(chain, token);
+    entry.alertedAt = Date.now();
+    entry.earlyBuyers = [...entry.wallets.entries()]
+        .filter(([, p]) => p.boughtUsd > 0)
+        .map(([wallet]) => wallet);
+    markDirty("flowTracker");
+}
+
+/**
+ * Is this sell a large exit by an early buyer of an alerted token?
+ * Fires once per wallet per token.
+ * @returns {object|null} Exit details for a "whale_exit" alert
+ */
+export function checkWhaleExit(chain, token, wallet, sellUsd) {
+    const entry = flows.get(flowKey(chain, token));
+    if (!entry?.alertedAt) return null;
+
+    const limits = CONFIG.flow;
+    if (Date.now() - entry.alertedAt > limits.exitWatchHours * 3600000) return null;
+    if (!entry.earlyBuyers.includes(wallet) || entry.exited.has(wallet)) return null;
+    if (sellUsd < limits.exitMinSellUsd) return null;
+
+    entry.exited.add(wallet);
+    markDirty("flowTracker");
+
+    const position = entry.wallets.get(wallet);
+    return {
+        wallet,
+        sellUsd,
+        boughtUsd: position.boughtUsd,
+        soldUsd: position.soldUsd,
+        soldPercent: position.boughtUsd > 0
+            ? Math.min(Math.round((position.soldUsd / position.boughtUsd) * 100), 100)
+            : null,
+        alertedAt: entry.alertedAt,
+    };
+}
+
+/**
+ * Drop idle tokens (no trades in the window, exit watch over)
+ */
+export function cleanupFlows() {
+    const now = Date.now();
+    const watchMs = CONFIG.flow.exitWatchHours * 3600000;
+
+    for (const [key, entry] of flows.entries()) {
+        pruneTrades(key.split(":")[0], entry, now);
+
+        const watching = entry.alertedAt && now - entry.alertedAt <= watchMs;
+        if (entry.trades.length === 0 && !watching) flows.delete(key);
+    }
+
+    markDirty("flowTracker");
+}
+
+/**
+ * Get statistics
+ */
+export function getFlowStats() {
+    const entries = [...flows.values()];
+    return {
+        trackedTokens: flows.size,
+        watchingExits: entries.filter((e) => e.alertedAt).length,
+        exits: entries.reduce((total, e) => total + e.exited.size, 0),
+    };
+}
+
+// Cleanup every 5 minutes
+setInterval(cleanupFlows, 300000);
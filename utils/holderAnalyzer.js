@@ -1,5 +1,6 @@
-import { Connection, PublicKey } from "@solana/web3.js";
-import { CONFIG } from "../config.js";
+import { PublicKey } from "@solana/web3.js";
+import { getSolanaConnection } from "./rpcManager.js";
+import { runRpc, getMultipleAccountsInfo } from "./rpcPool.js";
 
 /**
  * ========================================
@@ -8,14 +9,75 @@ import { CONFIG } from "../config.js";
  * Checks if token is fairly distributed or concentrated
  */
 
-const connection = new Connection(CONFIG.SOLANA_RPC, "confirmed");
+const connection = getSolanaConnection();
+const holderCache = new Map();
+
+// Owners whose balance is liquidity or burned supply, not a holder
+const KNOWN_OWNERS = {
+    "5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1": "raydium_v4_pool",
+    "GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL": "raydium_cpmm_pool",
+    "1nc1nerator11111111111111111111111111111111": "burn",
+    "11111111111111111111111111111111": "burn",
+};
+
+// Owner accounts run by these programs are pools / bonding curves
+const POOL_PROGRAMS = {
+    "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P": "pumpfun_bonding_curve",
+    "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA": "pumpswap_pool",
+};
+
+/**
+ * Top-1/5/10 percentages of total supply
+ */
+function concentration(amounts, totalSupply) {
+    const pct = (list) => list.reduce((sum, a) => sum + (a / totalSupply) * 100, 0);
+
+    return {
+        topHolderPercent: parseFloat(pct(amounts.slice(0, 1)).toFixed(2)),
+        top5Percent: parseFloat(pct(amounts.slice(0, 5)).toFixed(2)),
+        top10Percent: parseFloat(pct(amounts.slice(0, 10)).toFixed(2)),
+    };
+}
+
+/**
+ * Resolve token accounts to owners, label pools / burns,
+ * and merge several accounts of one owner
+ */
+async function resolveOwners(accounts) {
+    const parsed = await runRpc(() => connection.getMultipleParsedAccounts(accounts.map((a) => a.address)));
+
+    const byOwner = new Map(); // owner -> amount
+    accounts.forEach((acc, i) => {
+        const owner = parsed.value[i]?.data?.parsed?.info?.owner || acc.address.toBase58();
+        byOwner.set(owner, (byOwner.get(owner) || 0) + parseFloat(acc.amount));
+    });
+
+    // Pool PDAs (bonding curves, AMM pools) are owned by their program
+    const owners = [...byOwner.keys()];
+    const ownerInfos = await getMultipleAccountsInfo(connection, owners.map((o) => new PublicKey(o)));
+
+    return owners.map((owner, i) => ({
+        owner,
+        amount: byOwner.get(owner),
+        label: KNOWN_OWNERS[owner] || POOL_PROGRAMS[ownerInfos[i]?.owner.toBase58()] || null,
+    }));
+}
 
 /**
  * Analyze token holder distribution
- * Returns risk score and holder stats
+ * Returns risk score and holder stats (pools / burns excluded),
+ * with the unadjusted numbers under `raw`
  */
 export async function analyzeHolderDistribution(mint) {
     try {
+        // Check cache (5 min)
+        if (holderCache.has(mint)) {
+            const cached = holderCache.get(mint);
+            if (Date.now() - cached.timestamp < 300000) {
+                return cached.data;
+            }
+        }
+
         const mintPubkey = new PublicKey(mint);
 
         // Get largest token accounts
@@ -37,22 +99,25 @@ export async function analyzeHolderDistribution(mint) {
         const supply = await connection.getTokenSupply(mintPubkey);
         const totalSupply = parseFloat(supply.value.amount);
 
-        // Calculate percentages
-        let top1Percent = 0;
-        let top5Percent = 0;
-        let top10Percent = 0;
-
-        accounts.slice(0, 1).forEach((acc) => {
-            top1Percent += (parseFloat(acc.amount) / totalSupply) * 100;
-        });
+        const raw = {
+            holderCount: accounts.length,
+            ...concentration(accounts.map((acc) => parseFloat(acc.amount)), totalSupply),
+        };
 
-        accounts.slice(0, 5).forEach((acc) => {
-            top5Percent += (parseFloat(acc.amount) / totalSupply) * 100;
-        });
-
-        accounts.slice(0, 10).forEach((acc) => {
-            top10Percent += (parseFloat(acc.amount) / totalSupply) * 100;
-        });
+        const owners = await resolveOwners(accounts);
+        const holders = owners
+            .filter((o) => !o.label)
+            .sort((a, b) => b.amount - a.amount);
+        const excluded = owners
+            .filter((o) => o.label)
+            .map((o) => ({
+                owner: o.owner,
+                label: o.label,
+                percent: parseFloat(((o.amount / totalSupply) * 100).toFixed(2)),
+            }));
+
+        const { topHolderPercent: top1Percent, top5Percent, top10Percent } =
+            concentration(holders.map((h) => h.amount), totalSupply);
 
         // Risk assessment
         let riskScore = 0;
@@ -84,16 +149,26 @@ export async function analyzeHolderDistribution(mint) {
 
         const isRisky = riskScore > 60;
 
-        return {
+        const result = {
             riskScore,
-            holderCount: accounts.length,
-            topHolderPercent: parseFloat(top1Percent.toFixed(2)),
-            top5Percent: parseFloat(top5Percent.toFixed(2)),
-            top10Percent: parseFloat(top10Percent.toFixed(2)),
+            holderCount: holders.length,
+            topHolderPercent: top1Percent,
+            top5Percent,
+            top10Percent,
             isRisky,
             reason: risks.join(", "),
             distribution: isRisky ? "❌ CENTRALIZED" : "✅ DISTRIBUTED",
+            excluded,
+            raw,
         };
+
+        // Cache result
+        holderCache.set(mint, {
+            data: result,
+            timestamp: Date.now(),
+        });
+
+        return result;
     } catch (err) {
         console.log("⚠️  Holder analysis failed:", err.message);
         return {
@@ -124,4 +199,12 @@ export function getDistributionGrade(analysis) {
     if (analysis.topHolderPercent < 20) return "C (Fair)";
     if (analysis.topHolderPercent < 30) return "D (Poor)";
     return "F (DANGER)";
-}
\ No newline at end of file
+}
+
+// Clear cache periodically
+setInterval(() => {
+    if (holderCache.size > 500) {
+        holderCache.clear();
+        console.log("🧹 Cleared holder cache");
+    }
+}, 600000);
@@ -1,6 +1,6 @@
-import { Connection, PublicKey } from "@solana/web3.js";
+import { PublicKey } from "@solana/web3.js";
 import axios from "axios";
-import { CONFIG } from "../config.js";
+import { getSolanaConnection } from "./rpcManager.js";
 
 /**
  * ========================================
@@ -9,7 +9,7 @@ import { CONFIG } from "../config.js";
  * Checks if LP tokens are locked (prevents rug pulls)
  */
 
-const connection = new Connection(CONFIG.SOLANA_RPC, "confirmed");
+const connection = getSolanaConnection();
 const lockCache = new Map();
 
 /**
@@ -31,6 +31,7 @@ export async function verifyLPLock(mint) {
         const pairs = response.data?.pairs || [];
         if (pairs.length === 0) {
             return {
+                verified: false,
                 isLocked: false,
                 lockPercentage: 0,
                 unlockDate: null,
@@ -60,9 +61,14 @@ export async function verifyLPLock(mint) {
 
         if (lpLockInfo.isLocked) {
             safetyScore += 50;
-            reasons.push(`${lpLockInfo.lockPercentage}% locked`);
+            reasons.push(lpLockInfo.burnedPercentage
+                ? `${lpLockInfo.lockPercentage}% locked (${lpLockInfo.burnedPercentage}% burned)`
+                : `${lpLockInfo.lockPercentage}% locked`);
 
-            if (lpLockInfo.unlockDate) {
+            if (lpLockInfo.permanent) {
+                safetyScore += 30;
+                reasons.push("Burned / permanently locked");
+            } else if (lpLockInfo.unlockDate) {
                 const daysUntilUnlock =
                     (lpLockInfo.unlockDate - Date.now()) / (1000 * 60 * 60 * 24);
 
@@ -85,7 +91,7 @@ export async function verifyLPLock(mint) {
                 reasons.push("Most LP locked");
             }
         } else {
-            reasons.push("❌ NO LP LOCK DETECTED");
+            reasons.push(lpLockInfo.reason || "❌ NO LP LOCK DETECTED");
         }
 
         // Liquidity amount matters
@@ -99,9 +105,15 @@ export async function verifyLPLock(mint) {
         const isSafe = safetyScore >= 60;
 
         const result = {
+            verified: lpLockInfo.verified,
             isLocked: lpLockInfo.isLocked,
             lockPercentage: lpLockInfo.lockPercentage,
+            burnedPercentage: lpLockInfo.burnedPercentage,
             unlockDate: lpLockInfo.unlockDate,
+            permanent: lpLockInfo.permanent,
+            lpMint: lpLockInfo.lpMint,
+            locks: lpLockInfo.locks,
+            pairAddress,
             liquidityUsd: liquidity,
             isSafe,
             safetyScore,
@@ -109,11 +121,13 @@ export async function verifyLPLock(mint) {
             grade: getLockGrade(safetyScore),
         };
 
-        lockCache.set(mint, result);
+        // RPC failures are retried next time; unsupported pools are final
+        if (lpLockInfo.verified || lpLockInfo.reason) lockCache.set(mint, result);
         return result;
     } catch (err) {
         console.log("⚠️  LP lock check failed:", err.message);
         return {
+            verified: false,
             isLocked: false,
             lockPercentage: 0,
             unlockDate: null,
@@ -124,51 +138,148 @@ export async function verifyLPLock(mint) {
     }
 }
 
+// Pool layouts: where the LP mint and the total LP issued live.
+// The pool only updates the issued amount on deposit/withdraw, so
+// LP burned through the token program shows up as issued - supply.
+const POOL_LAYOUTS = {
+    "675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8": { dex: "raydium_v4", lpMint: 464, lpIssued: 720 },
+    "CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C": { dex: "raydium_cpmm", lpMint: 136, lpIssued: 333 },
+};
+
+const INCINERATOR = "1nc1nerator11111111111111111111111111111111";
+
+// Raydium LP locker — locked LP sits under one authority PDA, forever
+const RAYDIUM_LOCKER = new PublicKey("LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE");
+const RAYDIUM_LOCK_AUTHORITY = PublicKey.findProgramAddressSync(
+    [Buffer.from("lock_cp_authority_seed")],
+    RAYDIUM_LOCKER
+)[0].toBase58();
+
+// Streamflow vesting contracts: canceled_at @25, end_time @33, mint @177, escrow_tokens @209
+const STREAMFLOW = new PublicKey("strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m");
+const STREAMFLOW_CANCELED_AT = 25;
+const STREAMFLOW_MINT = 177;
+const STREAMFLOW_ESCROW = 209;
+const STREAMFLOW_CACHE_MS = 10 * 60 * 1000;
+
+const streamflowCache = new Map(); // lpMint -> { timestamp, unlocks: Map(escrow -> unlock ms) }
+
+// Holders below 1% of LP are not worth an RPC round-trip
+const MIN_HOLDER_BPS = 100n;
+
+const toPercent = (amount, total) => Number((amount * 10000n) / total) / 100;
+
+/**
+ * Live Streamflow locks of an LP mint, one program scan per pool (cached)
+ * @returns {Promise<Map<string, number>>} escrow token account -> unlock time (ms)
+ */
+async function getStreamflowUnlocks(lpMint) {
+    const key = lpMint.toBase58();
+    const cached = streamflowCache.get(key);
+    if (cached && Date.now() - cached.timestamp < STREAMFLOW_CACHE_MS) return cached.unlocks;
+
+    const contracts = await connection.getProgramAccounts(STREAMFLOW, {
+        filters: [{ memcmp: { offset: STREAMFLOW_MINT, bytes: key } }],
+        dataSlice: { offset: STREAMFLOW_CANCELED_AT, length: STREAMFLOW_ESCROW + 32 - STREAMFLOW_CANCELED_AT },
+    });
+
+    const unlocks = new Map();
+    for (const { account } of contracts) {
+        const canceledAt = account.data.readBigUInt64LE(0);
+        const endTime = Number(account.data.readBigUInt64LE(8)) * 1000;
+        if (canceledAt !== 0n || endTime <= Date.now()) continue;
+
+        const escrowOffset = STREAMFLOW_ESCROW - STREAMFLOW_CANCELED_AT;
+        const escrow = new PublicKey(account.data.subarray(escrowOffset, escrowOffset + 32)).toBase58();
+        unlocks.set(escrow, Math.min(unlocks.get(escrow) ?? Infinity, endTime));
+    }
+
+    streamflowCache.set(key, { timestamp: Date.now(), unlocks });
+    return unlocks;
+}
+
 /**
- * Check if LP tokens are locked
- * This checks common lock programs on Solana
+ * Check if LP tokens are burned or locked
+ * Supports Raydium V4 and CPMM pools
  */
 async function checkLPTokenLock(pairAddress) {
+    const notLocked = {
+        verified: false,
+        isLocked: false,
+        lockPercentage: 0,
+        burnedPercentage: 0,
+        unlockDate: null,
+        permanent: false,
+        lpMint: null,
+        locks: [],
+    };
+
     try {
-        // Common Solana LP lock programs
-        const LOCK_PROGRAMS = [
-            "11111111111111111111111111111111", // System program (burn address)
-            "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA", // Token program
-            // Add known lock program addresses
-        ];
-
-        const pairPubkey = new PublicKey(pairAddress);
-
-        // Get LP token accounts
-        const tokenAccounts = await connection.getTokenAccountsByOwner(pairPubkey, {
-            programId: new PublicKey("TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA"),
-        });
+        // 1. Resolve the LP mint from the pool account
+        const pool = await connection.getAccountInfo(new PublicKey(pairAddress));
+        const layout = pool && POOL_LAYOUTS[pool.owner.toBase58()];
+        if (!layout) {
+            return { ...notLocked, reason: "LP lock not checked (unsupported pool)" };
+        }
 
-        let totalSupply = 0;
-        let lockedAmount = 0;
+        const lpMint = new PublicKey(pool.data.subarray(layout.lpMint, layout.lpMint + 32));
+        const lpIssued = pool.data.readBigUInt64LE(layout.lpIssued);
+        const supply = BigInt((await connection.getTokenSupply(lpMint)).value.amount);
+        const total = lpIssued > supply ? lpIssued : supply;
 
-        // This is a simplified check
-        // In production, you'd check specific lock programs
-        // For now, assume not locked unless proven otherwise
+        const result = { ...notLocked, verified: true, dex: layout.dex, lpMint: lpMint.toBase58() };
+        if (total === 0n) return result;
 
-        return {
-            isLocked: false,
-            lockPercentage: 0,
-            unlockDate: null,
-        };
+        // 2. LP burned out of supply
+        const locks = [];
+        if (total > supply) {
+            locks.push({ type: "burn", amount: total - supply, unlockDate: null });
+        }
+
+        // 3. Classify the largest remaining LP holders
+        const holders = (await connection.getTokenLargestAccounts(lpMint)).value
+            .filter((a) => (BigInt(a.amount) * 10000n) / total >= MIN_HOLDER_BPS);
+
+        const parsed = holders.length
+            ? await connection.getMultipleParsedAccounts(holders.map((h) => h.address))
+            : { value: [] };
+
+        let streamflow = null; // fetched only if some holder isn't a burn / Raydium lock
+
+        for (let i = 0; i < holders.length; i++) {
+            const owner = parsed.value[i]?.data?.parsed?.info?.owner;
+            const amount = BigInt(holders[i].amount);
+            const account = holders[i].address.toBase58();
+
+            if (owner === INCINERATOR) {
+                locks.push({ type: "burn", amount, account, unlockDate: null });
+            } else if (owner === RAYDIUM_LOCK_AUTHORITY) {
+                locks.push({ type: "raydium_locker", amount, account, unlockDate: null });
+            } else {
+                streamflow ??= await getStreamflowUnlocks(lpMint);
+                const unlockDate = streamflow.get(account);
+                if (unlockDate) locks.push({ type: "streamflow", amount, account, unlockDate });
+            }
+        }
+
+        // 4. Totals — unlock date is the earliest timed lock
+        const sum = (list) => list.reduce((acc, l) => acc + l.amount, 0n);
+        const timed = locks.filter((l) => l.unlockDate);
 
-        // Real implementation would:
-        // 1. Get LP token mint
-        // 2. Find all LP token holders
-        // 3. Check if any are lock programs
-        // 4. Check lock expiration dates
-        // 5. Calculate locked percentage
+        result.lockPercentage = Math.min(toPercent(sum(locks), total), 100);
+        result.burnedPercentage = toPercent(sum(locks.filter((l) => l.type === "burn")), total);
+        result.isLocked = result.lockPercentage > 0;
+        result.unlockDate = timed.length ? Math.min(...timed.map((l) => l.unlockDate)) : null;
+        result.permanent = result.isLocked && timed.length === 0;
+        result.locks = locks.map(({ amount, ...lock }) => ({
+            ...lock,
+            percentage: toPercent(amount, total),
+        }));
+
+        return result;
     } catch (err) {
-        return {
-            isLocked: false,
-            lockPercentage: 0,
-            unlockDate: null,
-        };
+        console.log("⚠️  LP token lock check failed:", err.message);
+        return notLocked;
     }
 }
 
@@ -195,6 +306,7 @@ export function isLPSafe(lockInfo) {
  * Clear cache
  */
 setInterval(() => {
+    if (streamflowCache.size > 500) streamflowCache.clear();
     if (lockCache.size > 500) {
         lockCache.clear();
         console.log("🧹 Cleared LP lock cache");
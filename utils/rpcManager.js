@@ -0,0 +1,313 @@
+/**
+ * ========================================
+ * 🛰️ RPC MANAGER
+ * ========================================
+ * One shared Solana connection and Base provider backed by a list
+ * of endpoints per chain. Tracks latency / error rate per endpoint
+ * and fails over on errors or rate limits.
+ */
+
+import { Connection } from "@solana/web3.js";
+import { ethers } from "ethers";
+import { CONFIG } from "../config.js";
+
+const BASE_CHAIN_ID = 8453;
+
+const FAILURES_BEFORE_COOLDOWN = 3;
+const BASE_COOLDOWN_MS = 30000;
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+const REBALANCE_MS = 60000; // re-pick the healthiest endpoint this often
+const EWMA_ALPHA = 0.2;
+
+function createGroup(urls) {
+    return {
+        endpoints: urls.map((url) => ({
+            url,
+            label: endpointLabel(url),
+            requests: 0,
+            errors: 0,
+            rateLimited: 0,
+            latencyMs: null, // EWMA
+            errorRate: 0, // EWMA of failures (0..1)
+            consecutiveFailures: 0,
+            cooldownUntil: 0,
+            lastError: null,
+        })),
+        active: 0,
+        failovers: 0,
+        lastRebalance: Date.now(),
+    };
+}
+
+const groups = {
+    base: createGroup(CONFIG.BASE_RPC_URLS),
+    baseWss: createGroup(CONFIG.BASE_WSS_URLS),
+    solana: createGroup(CONFIG.SOLANA_RPC_URLS),
+    solanaWss: createGroup(CONFIG.SOLANA_WSS_URLS),
+};
+
+const GROUP_NAMES = {
+    base: "Base RPC",
+    baseWss: "Base WSS",
+    solana: "Solana RPC",
+    solanaWss: "Solana WSS",
+};
+
+/**
+ * Host only — RPC URLs often carry API keys
+ */
+function endpointLabel(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return "invalid-url";
+    }
+}
+
+/**
+ * Lower is better: latency, penalised by recent errors
+ */
+function healthScore(endpoint) {
+    return (endpoint.latencyMs ?? 0) * (1 + 4 * endpoint.errorRate) + endpoint.errorRate * 1000;
+}
+
+function isCoolingDown(endpoint, now = Date.now()) {
+    return endpoint.cooldownUntil > now;
+}
+
+/**
+ * Healthiest endpoint not yet tried for this request
+ */
+function pickEndpoint(group, tried) {
+    const now = Date.now();
+    const candidates = group.endpoints.filter((e) => !tried.has(e));
+    if (candidates.length === 0) return null;
+
+    const active = group.endpoints[group.active];
+    const rebalance = now - group.lastRebalance > REBALANCE_MS;
+    if (!rebalance && candidates.includes(active) && !isCoolingDown(active, now)) return active;
+
+    const healthy = candidates.filter((e) => !isCoolingDown(e, now));
+    const best = healthy.length
+        ? healthy.sort((a, b) => healthScore(a) - healthScore(b))[0]
+        : candidates.sort((a, b) => a.cooldownUntil - b.cooldownUntil)[0]; // all cooling: soonest back
+
+    if (rebalance) group.lastRebalance = now;
+    return best;
+}
+
+function recordSuccess(endpoint, latencyMs) {
+    endpoint.requests++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.latencyMs = endpoint.latencyMs === null
+        ? latencyMs
+        : endpoint.latencyMs * (1 - EWMA_ALPHA) + latencyMs * EWMA_ALPHA;
+    endpoint.errorRate *= 1 - EWMA_ALPHA;
+}
+
+function recordFailure(endpoint, reason, rateLimited = false) {
+    endpoint.requests++;
+    endpoint.errors++;
+    endpoint.consecutiveFailures++;
+    endpoint.errorRate = endpoint.errorRate * (1 - EWMA_ALPHA) + EWMA_ALPHA;
+    endpoint.lastError = reason;
+
+    if (rateLimited) endpoint.rateLimited++;
+    if (rateLimited || endpoint.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN) {
+        const strikes = Math.max(endpoint.consecutiveFailures - FAILURES_BEFORE_COOLDOWN, 0);
+        endpoint.cooldownUntil = Date.now() + Math.min(BASE_COOLDOWN_MS * 2 ** strikes, MAX_COOLDOWN_MS);
+    }
+}
+
+function setActive(group, endpoint, name) {
+    const index = group.endpoints.indexOf(endpoint);
+    if (index === group.active) return;
+
+    const previous = group.endpoints[group.active];
+    group.active = index;
+    group.failovers++;
+    console.log(`🔀 ${GROUP_NAMES[name]}: ${previous.label} → ${endpoint.label}`);
+}
+
+/**
+ * fetch() that sends each JSON-RPC request to the healthiest
+ * endpoint and retries the next one on network errors, 429s and 5xx
+ */
+function createManagedFetch(name) {
+    const group = groups[name];
+
+    return async (input, init) => {
+        const tried = new Set();
+        let lastResponse = null;
+        let lastError = null;
+
+        for (let endpoint = pickEndpoint(group, tried); endpoint; endpoint = pickEndpoint(group, tried)) {
+            tried.add(endpoint);
+            const started = Date.now();
+
+            try {
+                const res = await fetch(endpoint.url, init);
+
+                if (res.status === 429 || res.status >= 500) {
+                    recordFailure(endpoint, `HTTP ${res.status}`, res.status === 429);
+                    lastResponse = res;
+                    continue;
+                }
+
+                recordSuccess(endpoint, Date.now() - started);
+                setActive(group, endpoint, name);
+                return res;
+            } catch (err) {
+                recordFailure(endpoint, err.message);
+                lastError = err;
+            }
+        }
+
+        // Every endpoint failed — surface the last answer (429s reach the RPC pool's backoff)
+        if (lastResponse) return lastResponse;
+        throw lastError || new Error(`No ${GROUP_NAMES[name]} endpoints configured`);
+    };
+}
+
+let solanaConnection = null;
+let solanaWsConnection = null;
+let baseProvider = null;
+
+/**
+ * Shared Solana connection (HTTP failover across SOLANA_RPC endpoints)
+ */
+export function getSolanaConnection() {
+    if (!solanaConnection) {
+        solanaConnection = new Connection(CONFIG.SOLANA_RPC, {
+            commitment: "confirmed",
+            wsEndpoint: CONFIG.SOLANA_WSS,
+            fetch: createManagedFetch("solana"),
+        });
+    }
+    return solanaConnection;
+}
+
+/**
+ * Solana connection for subscriptions on the current SOLANA_WSS
+ * endpoint — rebuilt after rotateSolanaWss (HTTP still fails over)
+ */
+export function getSolanaWsConnection() {
+    if (!solanaWsConnection) {
+        solanaWsConnection = new Connection(CONFIG.SOLANA_RPC, {
+            commitment: "confirmed",
+            wsEndpoint: getActiveUrl("solanaWss"),
+            fetch: createManagedFetch("solana"),
+        });
+    }
+    return solanaWsConnection;
+}
+
+/**
+ * Shared Base JSON-RPC provider (failover across BASE_RPC endpoints)
+ */
+export function getBaseProvider() {
+    if (!baseProvider) {
+        const managedFetch = createManagedFetch("base");
+        const request = new ethers.FetchRequest(CONFIG.BASE_RPC);
+
+        request.getUrlFunc = async (req, signal) => {
+            const controller = new AbortController();
+            signal?.addListener(() => controller.abort());
+
+            const res = await managedFetch(req.url, {
+                method: req.method,
+                headers: req.headers,
+                body: req.body || undefined,
+                signal: controller.signal,
+            });
+
+            return {
+                statusCode: res.status,
+                statusMessage: res.statusText,
+                headers: Object.fromEntries(res.headers.entries()),
+                body: new Uint8Array(await res.arrayBuffer()),
+            };
+        };
+
+        // Static network: endpoints can't disagree on chain detection.
+        // Polling: log subscriptions use eth_getLogs — filter IDs from
+        // eth_newFilter don't survive a failover to another endpoint.
+        baseProvider = new ethers.JsonRpcProvider(request, BASE_CHAIN_ID, { staticNetwork: true, polling: true });
+    }
+    return baseProvider;
+}
+
+function getActiveUrl(name) {
+    const group = groups[name];
+    return group.endpoints[group.active]?.url;
+}
+
+/**
+ * Mark a group's current WebSocket as failed and move to the next one
+ */
+function rotateWss(name, reason) {
+    const group = groups[name];
+    const current = group.endpoints[group.active];
+    if (!current) return undefined;
+
+    recordFailure(current, reason);
+    const next = pickEndpoint(group, new Set([current])) || current;
+    setActive(group, next, name);
+    return next.url;
+}
+
+/**
+ * Current Base WebSocket URL
+ */
+export function getBaseWssUrl() {
+    return getActiveUrl("baseWss");
+}
+
+/**
+ * Mark the current Base WebSocket as failed and move to the next one
+ * @returns {string} URL to reconnect to
+ */
+export function rotateBaseWss(reason) {
+    return rotateWss("baseWss", reason);
+}
+
+/**
+ * Mark the current Solana WebSocket as failed and move to the next
+ * one; the next getSolanaWsConnection() connects there
+ * @returns {string} URL to reconnect to
+ */
+export function rotateSolanaWss(reason) {
+    solanaWsConnection = null;
+    return rotateWss("solanaWss", reason);
+}
+
+function describe(group) {
+    const now = Date.now();
+    return {
+        active: group.endpoints[group.active]?.label || null,
+        failovers: group.failovers,
+        endpoints: group.endpoints.map((e) => ({
+            label: e.label,
+            healthy: !isCoolingDown(e, now),
+            latencyMs: e.latencyMs === null ? null : Math.round(e.latencyMs),
+            errorRate: Number(e.errorRate.toFixed(2)),
+            requests: e.requests,
+            errors: e.errors,
+            rateLimited: e.rateLimited,
+            coolingDownMs: Math.max(e.cooldownUntil - now, 0),
+            lastError: e.lastError,
+        })),
+    };
+}
+
+/**
+ * Endpoint health per chain (status output)
+ */
+export function getRpcStatus() {
+    return {
+        base: describe(groups.base),
+        baseWss: describe(groups.baseWss),
+        solana: describe(groups.solana),
+        solanaWss: describe(groups.solanaWss),
+    };
+}
@@ -0,0 +1,165 @@
+/**
+ * ========================================
+ * 🏊 RPC WORKER POOL
+ * ========================================
+ * Shared bounded-concurrency queue for RPC calls, batched
+ * transaction / account fetches and backoff on rate limits
+ */
+
+import { CONFIG } from "../config.js";
+
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 15000;
+const MAX_ACCOUNTS_PER_CALL = 100; // getMultipleAccounts limit
+
+const queue = []; // { task, resolve, reject }
+let active = 0;
+let cooldownUntil = 0; // every worker waits out a 429
+let batchSupported = true; // some RPC plans reject JSON-RPC batches
+
+const stats = {
+    calls: 0,
+    failed: 0,
+    rateLimited: 0,
+    batches: 0,
+    maxQueued: 0,
+};
+
+function isRateLimited(err) {
+    const message = String(err?.message || "");
+    return (
+        err?.code === 429 ||
+        err?.response?.status === 429 || // axios
+        String(err?.info?.responseStatus || "").startsWith("429") || // ethers
+        /\b429\b|too many requests|rate limit/i.test(message)
+    );
+}
+
+// Batches rejected by the endpoint itself (not a transient failure)
+function isBatchUnsupported(err) {
+    const message = String(err?.message || "");
+    return err?.code === -32601 || /-32601|method not found|batch.*(not supported|disabled|not allowed)/i.test(message);
+}
+
+async function withBackoff(task) {
+    for (let attempt = 0; ; attempt++) {
+        const wait = cooldownUntil - Date.now();
+        if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+
+        try {
+            return await task();
+        } catch (err) {
+            if (!isRateLimited(err) || attempt >= MAX_RETRIES) throw err;
+
+            stats.rateLimited++;
+            const delay = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS) + Math.random() * 250;
+            cooldownUntil = Math.max(cooldownUntil, Date.now() + delay);
+            console.log(`⏳ RPC rate limited, backing off ${Math.round(delay)}ms (attempt ${attempt + 1})`);
+        }
+    }
+}
+
+function next() {
+    while (active < CONFIG.RPC_CONCURRENCY && queue.length > 0) {
+        const { task, resolve, reject } = queue.shift();
+        active++;
+        stats.calls++;
+
+        withBackoff(task)
+            .then(resolve, (err) => {
+                stats.failed++;
+                reject(err);
+            })
+            .finally(() => {
+                active--;
+                next();
+            });
+    }
+}
+
+/**
+ * Run an RPC call through the pool
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ * @template T
+ */
+export function runRpc(task) {
+    return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        stats.maxQueued = Math.max(stats.maxQueued, queue.length);
+        next();
+    });
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+/**
+ * Parsed transactions for many signatures (null where missing or
+ * failed), batched per CONFIG.RPC_BATCH_SIZE. Rejects when the RPC
+ * is still rate limited after backoff, so callers can keep the
+ * signatures for a retry.
+ */
+export async function getParsedTransactions(connection, signatures) {
+    const options = { maxSupportedTransactionVersion: 0, commitment: "confirmed" };
+    // Errors reach withBackoff inside the pool; only the final non-429 failure becomes null
+    const single = (sig) =>
+        runRpc(() => connection.getParsedTransaction(sig, options)).catch((err) => {
+            if (isRateLimited(err)) throw err;
+            return null;
+        });
+    const singles = (sigs) => Promise.all(sigs.map(single));
+
+    if (!batchSupported) return singles(signatures);
+
+    const results = await Promise.all(
+        chunk(signatures, CONFIG.RPC_BATCH_SIZE).map(async (sigs) => {
+            try {
+                stats.batches++;
+                return await runRpc(() => connection.getParsedTransactions(sigs, options));
+            } catch (err) {
+                if (isRateLimited(err)) {
+                    console.log(`⚠️ RPC still rate limited, ${sigs.length} transactions left for retry`);
+                    throw err;
+                }
+                if (isBatchUnsupported(err) && batchSupported) {
+                    batchSupported = false;
+                    console.log("⚠️ RPC rejects batch requests, fetching one by one:", err.message);
+                }
+                return singles(sigs);
+            }
+        })
+    );
+
+    return results.flat();
+}
+
+/**
+ * Account infos for many keys (null where missing), 100 per call
+ */
+export async function getMultipleAccountsInfo(connection, pubkeys) {
+    const results = await Promise.all(
+        chunk(pubkeys, MAX_ACCOUNTS_PER_CALL).map((keys) =>
+            runRpc(() => connection.getMultipleAccountsInfo(keys))
+        )
+    );
+    return results.flat();
+}
+
+/**
+ * Pool state (status output)
+ */
+export function getRpcPoolStats() {
+    return {
+        concurrency: CONFIG.RPC_CONCURRENCY,
+        active,
+        queued: queue.length,
+        batchSupported,
+        coolingDownMs: Math.max(cooldownUntil - Date.now(), 0),
+        ...stats,
+    };
+}
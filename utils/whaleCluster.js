@@ -5,11 +5,28 @@
  * Tracks unique whale buyers per token
  */
 
+import { CONFIG } from "../config.js";
+import { registerCollection, markDirty } from "../services/store.js";
+
 const whaleActivity = new Map(); // mint -> Set of whale addresses
 const whaleHistory = new Map(); // whale address -> array of buys
 
-// Whale threshold: wallets that buy $500+ worth
-const WHALE_THRESHOLD_USD = 500;
+// Whale thresholds live in CONFIG.whales
+
+registerCollection("whaleCluster", {
+    dump: () => ({
+        whaleActivity: [...whaleActivity.entries()].map(([mint, whales]) => [mint, [...whales]]),
+        whaleHistory: [...whaleHistory.entries()],
+    }),
+    restore: (data) => {
+        for (const [mint, whales] of data.whaleActivity || []) {
+            whaleActivity.set(mint, new Set(whales));
+        }
+        for (const [wallet, history] of data.whaleHistory || []) {
+            whaleHistory.set(wallet, history);
+        }
+    },
+});
 
 /**
  * Record a whale purchase
@@ -39,6 +56,7 @@ export function recordWhale(mint, wallet, buyUsd = 0) {
         timestamp: Date.now(),
     });
 
+    markDirty("whaleCluster");
     return whales.size;
 }
 
@@ -63,7 +81,7 @@ export function isKnownWhale(wallet) {
 
     // Check if they've made large purchases
     const totalSpent = history.reduce((sum, h) => sum + h.buyUsd, 0);
-    if (totalSpent >= 5000) return true;
+    if (totalSpent >= CONFIG.whales.knownWhaleTotalUsd) return true;
 
     return false;
 }
@@ -112,6 +130,8 @@ export function cleanupOldData(maxAge = 3600000) {
             whaleHistory.set(wallet, recentHistory);
         }
     }
+
+    markDirty("whaleCluster");
 }
 
 /**